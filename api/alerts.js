@@ -0,0 +1,66 @@
+/* =====================================================================
+   Stock Alerts API
+   - Runs the inventory report and sends low days of cover, new
+     stockout and rising-stockout (A grade) alerts through the
+     configured notifiers: ALERT_WEBHOOK_URL, ALERT_SLACK_WEBHOOK_URL,
+     SMTP_HOST + ALERT_EMAIL_FROM / ALERT_EMAIL_TO (lib/notifiers.js)
+   - Meant to be called on a schedule, e.g. a Vercel cron hitting
+     /api/alerts?range=12 every morning; repeats of a still-active
+     alert are held back for ALERT_REPEAT_HOURS (lib/alerts.js)
+   - Report params as in api/inventory-report.js (?range=, ?location=,
+     ?velocity_basis=, filters ...); thresholds via ?cover_days=
+     ?grades=A,B ?rise_days= ?lookback_days= ?repeat_hours= over the
+     ALERT_* env defaults; ?sheet_source= for the ABC grades
+   - ?dry_run=1 lists what would fire without sending or recording it
+   - Needs a bearer token: ALERTS_TOKEN, or CRON_SECRET (what Vercel
+     cron sends)
+===================================================================== */
+
+const { isConfigured } = require("../lib/shopify");
+const { applyCors, errorStatus, bearerAuthorised, queryFlag } = require("../lib/http");
+const { inventoryReportOptions } = require("../lib/inventory-report");
+const { sheetSource } = require("../lib/sheet-sources");
+const { alertThresholds, runAlerts } = require("../lib/alerts");
+
+/* ------------ EXPORT HANDLER ------------ */
+module.exports = async (req, res) => {
+  if (applyCors(req, res, "GET, POST")) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!isConfigured()) {
+    return res.status(500).json({
+      ok: false,
+      error: "Missing Shopify environment variables"
+    });
+  }
+
+  const tokens = [process.env.ALERTS_TOKEN, process.env.CRON_SECRET];
+  if (!tokens.some(Boolean)) {
+    return res.status(500).json({
+      ok: false,
+      error: "Missing ALERTS_TOKEN (or CRON_SECRET)"
+    });
+  }
+
+  if (!bearerAuthorised(req, ...tokens)) {
+    return res.status(401).json({ ok: false, error: "Invalid or missing bearer token" });
+  }
+
+  try {
+    const result = await runAlerts({
+      reportOptions: inventoryReportOptions(req.query),
+      thresholds: alertThresholds(req.query),
+      sheetSource: sheetSource(req.query.sheet_source),
+      dryRun: queryFlag(req.query.dry_run)
+    });
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("alerts error:", err);
+    return res.status(errorStatus(err)).json({
+      ok: false,
+      error: err.message || String(err),
+      error_type: err.type || null
+    });
+  }
+};
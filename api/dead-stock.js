@@ -0,0 +1,47 @@
+/* =====================================================================
+   Dead Stock API
+   - SKUs with stock on hand and no sales in ?days=N (default 90), plus
+     slow movers whose days of cover reach ?cover_days= (default 180)
+   - Per SKU: days of cover, last sale date, stock value (at unit cost)
+     and days since the last receipt
+   - Same history as the inventory report: ?range= (months, widened to
+     cover ?days=), ?mode=, ?source=, ?location=, ?velocity_basis=
+   - Pipeline lives in lib/dead-stock.js
+   - ?format=csv | ?format=xlsx for a spreadsheet download (lib/export.js)
+===================================================================== */
+
+const { isConfigured } = require("../lib/shopify");
+const { exportFormat, sendTable, deadStockColumns } = require("../lib/export");
+const { applyCors, applyEdgeCache, errorStatus } = require("../lib/http");
+const { deadStockOptions, buildDeadStockReport } = require("../lib/dead-stock");
+
+/* ------------ EXPORT HANDLER ------------ */
+module.exports = async (req, res) => {
+  if (applyCors(req, res)) return;
+  applyEdgeCache(res);
+
+  if (!isConfigured()) {
+    return res.status(500).json({
+      ok: false,
+      error: "Missing Shopify environment variables"
+    });
+  }
+
+  try {
+    const report = await buildDeadStockReport(deadStockOptions(req.query));
+
+    const format = exportFormat(req.query.format);
+    if (format !== "json") {
+      return sendTable(res, format, deadStockColumns(), report.items, `dead-stock-${report.end_date}`);
+    }
+
+    return res.status(200).json(report);
+  } catch (err) {
+    console.error("dead-stock error:", err);
+    return res.status(errorStatus(err)).json({
+      ok: false,
+      error: err.message || String(err),
+      error_type: err.type || null
+    });
+  }
+};
@@ -1,20 +1,9 @@
-export default async function handler(req, res) {
-  const domain = process.env.SHOPIFY_STORE_DOMAIN;
-  const token = process.env.SHOPIFY_ADMIN_API_ACCESS_TOKEN;
-  const apiVersion = process.env.SHOPIFY_API_VERSION || '2024-10';
+const { shopifyRest } = require("../lib/shopify");
+const { errorStatus } = require("../lib/http");
 
+module.exports = async (req, res) => {
   try {
-    const url = `https://${domain}/admin/api/${apiVersion}/orders.json?status=any&limit=50&fields=id,line_items`;
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': token,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const data = await response.json();
+    const data = await shopifyRest('orders.json?status=any&limit=50&fields=id,line_items');
 
     const mapped = data.orders.map(o => ({
       order_id: o.id,
@@ -32,9 +21,10 @@ export default async function handler(req, res) {
     });
 
   } catch (err) {
-    return res.status(500).json({
+    return res.status(errorStatus(err)).json({
       ok: false,
-      error: err.toString()
+      error: err.toString(),
+      error_type: err.type || null
     });
   }
-}
+};
@@ -1,9 +1,8 @@
-export default async function handler(req, res) {
-  const domain = process.env.SHOPIFY_STORE_DOMAIN;
-  const token = process.env.SHOPIFY_ADMIN_API_ACCESS_TOKEN;
-  const apiVersion = process.env.SHOPIFY_API_VERSION || '2024-10';
+const { API_VERSION, STORE_DOMAIN, isConfigured, shopifyRest } = require("../lib/shopify");
+const { errorStatus } = require("../lib/http");
 
-  if (!domain || !token) {
+module.exports = async (req, res) => {
+  if (!isConfigured()) {
     return res.status(400).json({
       ok: false,
       error: 'Missing SHOPIFY_STORE_DOMAIN or SHOPIFY_ADMIN_API_ACCESS_TOKEN'
@@ -11,39 +10,22 @@ export default async function handler(req, res) {
   }
 
   try {
-    const url = `https://${domain}/admin/api/${apiVersion}/orders/count.json?status=any`;
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': token,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      const text = await response.text();
-      return res.status(response.status).json({
-        ok: false,
-        response_error: text,
-        status: response.status
-      });
-    }
-
-    const data = await response.json();
+    const data = await shopifyRest('orders/count.json?status=any');
 
     return res.status(200).json({
       ok: true,
-      domain,
-      apiVersion,
+      domain: STORE_DOMAIN,
+      apiVersion: API_VERSION,
       result: data,
       note: "If count > 0, we can proceed to full order pull"
     });
 
   } catch (err) {
-    return res.status(500).json({
+    return res.status(errorStatus(err)).json({
       ok: false,
-      error: err.toString()
+      error: err.toString(),
+      error_type: err.type || null,
+      response_error: err.details || null
     });
   }
-}
+};
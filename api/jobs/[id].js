@@ -0,0 +1,38 @@
+/* =====================================================================
+   Background jobs API: status
+   - GET /api/jobs/:id → status (queued | running | succeeded | failed),
+     progress { stage, stages, pages_fetched, items_processed,
+     items_total, percent } and, once succeeded, the report as `result`
+     (the same payload the endpoint returns)
+   - ?result=0 leaves the result out while polling
+   - 404 for unknown or pruned jobs (lib/jobs.js)
+===================================================================== */
+
+const { applyCors, errorStatus } = require("../../lib/http");
+const { getJob } = require("../../lib/jobs");
+
+/* ------------ EXPORT HANDLER ------------ */
+module.exports = async (req, res) => {
+  if (applyCors(req, res)) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const job = await getJob(req.query.id);
+    if (!job) {
+      return res.status(404).json({ ok: false, error: "Job not found" });
+    }
+
+    if (req.query.result === "0") {
+      return res.status(200).json({ ok: true, job: { ...job, result: undefined } });
+    }
+
+    return res.status(200).json({ ok: true, job });
+  } catch (err) {
+    console.error("job status error:", err);
+    return res.status(errorStatus(err)).json({
+      ok: false,
+      error: err.message || String(err),
+      error_type: err.type || null
+    });
+  }
+};
@@ -0,0 +1,78 @@
+/* =====================================================================
+   Background jobs API: start a report
+   - POST JSON { "type": "inventory-report" | "sell-through" |
+     "dead-stock" | "reorder-suggestions",
+     "params": { ...the endpoint's query parameters } }
+       curl -X POST -H "Authorization: Bearer $JOBS_TOKEN" \
+         -H "Content-Type: application/json" \
+         -d '{"type":"inventory-report","params":{"range":36,"mode":"bulk"}}' \
+         .../api/jobs
+   - Needs a bearer token: JOBS_TOKEN, or CRON_SECRET (what Vercel
+     cron sends); 401 without it
+   - 202 with the queued job and its status_url (api/jobs/[id].js);
+     400 for an unknown type or params the endpoint would reject
+   - Runs on the local in-process queue by default, so it needs a
+     long-lived process; see lib/jobs.js for stores / queues
+===================================================================== */
+
+const { applyCors, errorStatus, readRawBody, bearerAuthorised, BadRequestError } = require("../../lib/http");
+const { createJob } = require("../../lib/jobs");
+
+const MAX_BYTES = 64 * 1024;
+
+/* Vercel parses JSON bodies into req.body; plain node servers don't */
+async function jsonBody(req) {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return req.body;
+
+  const raw =
+    typeof req.body === "string" || Buffer.isBuffer(req.body)
+      ? String(req.body)
+      : (await readRawBody(req, { limit: MAX_BYTES })).toString("utf8");
+  if (!raw.trim()) throw new BadRequestError("Request body is empty");
+
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new BadRequestError(`Request body is not valid JSON: ${err.message}`);
+  }
+}
+
+/* ------------ EXPORT HANDLER ------------ */
+module.exports = async (req, res) => {
+  if (applyCors(req, res, "POST")) return;
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  const tokens = [process.env.JOBS_TOKEN, process.env.CRON_SECRET];
+  if (!tokens.some(Boolean)) {
+    return res.status(500).json({
+      ok: false,
+      error: "Missing JOBS_TOKEN (or CRON_SECRET)"
+    });
+  }
+
+  if (!bearerAuthorised(req, ...tokens)) {
+    return res.status(401).json({ ok: false, error: "Invalid or missing bearer token" });
+  }
+
+  try {
+    const body = await jsonBody(req);
+    const job = await createJob(String(body.type || ""), body.params);
+
+    return res.status(202).json({
+      ok: true,
+      job,
+      status_url: `/api/jobs/${job.id}`
+    });
+  } catch (err) {
+    console.error("jobs error:", err);
+    return res.status(errorStatus(err)).json({
+      ok: false,
+      error: err.message || String(err),
+      error_type: err.type || null
+    });
+  }
+};
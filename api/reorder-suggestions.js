@@ -0,0 +1,49 @@
+/* =====================================================================
+   Reorder Suggestions API
+   - Per SKU: safety stock, reorder point, suggested order quantity
+   - Demand from the inventory report's in-stock velocity (default) or
+     the sell-through merge (?velocity_source=sell_through; over ?range=
+     with ?sheet_source=shopifyql, else the sheet's fixed 24 months)
+   - ?velocity_basis=net|gross as in both reports
+   - Stock position = available + incoming across locations
+     (?location=NAME|ID to plan a single location)
+   - Lead time / service level / review period per SKU or ABC grade via
+     REORDER_CONFIG; ?lead_time=, ?service_level=, ?review_days= set the
+     request-wide default
+   - ABC grades come from the sell-through data when it's configured,
+     read from ?sheet_source= as in api/sell-through.js (with
+     ?velocity_source=sell_through, the computed grade fills in for
+     SKUs the sheet doesn't grade)
+   - 400 for a non-numeric / negative ?lead_time= or ?review_days=, or
+     a ?service_level= outside 0–1 (0.95, not 95)
+   - Pipeline lives in lib/reorder-suggestions.js
+===================================================================== */
+
+const { isConfigured } = require("../lib/shopify");
+const { applyCors, applyEdgeCache, errorStatus } = require("../lib/http");
+const { reorderSuggestionsOptions, buildReorderSuggestions } = require("../lib/reorder-suggestions");
+
+/* ------------ EXPORT HANDLER ------------ */
+module.exports = async (req, res) => {
+  if (applyCors(req, res)) return;
+  applyEdgeCache(res);
+
+  if (!isConfigured()) {
+    return res.status(500).json({
+      ok: false,
+      error: "Missing Shopify environment variables"
+    });
+  }
+
+  try {
+    const result = await buildReorderSuggestions(reorderSuggestionsOptions(req.query));
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("reorder-suggestions error:", err);
+    return res.status(errorStatus(err)).json({
+      ok: false,
+      error: err.message || String(err),
+      error_type: err.type || null
+    });
+  }
+};
@@ -0,0 +1,99 @@
+/* =====================================================================
+   Sell-through file upload API
+   - POST a CSV or XLSX export as the raw request body:
+       curl -X POST -H "Authorization: Bearer $SELLTHROUGH_UPLOAD_TOKEN" \
+         --data-binary @sell-through.xlsx \
+         ".../api/sell-through-upload?filename=sell-through.xlsx"
+   - Format from ?format=csv|xlsx, else Content-Type / file extension,
+     else sniffed (XLSX is a zip)
+   - The file is mapped and validated like every other source (lib/
+     sheet.js) before it replaces the previous upload; the response
+     lists the columns found and any sheet_warnings
+   - GET returns what is currently stored (no rows)
+   - Reports read it with ?sheet_source=upload (or SELLTHROUGH_SOURCE)
+   - Needs SELLTHROUGH_UPLOAD_TOKEN; 401 without the matching bearer
+     token, 413 above SELLTHROUGH_UPLOAD_MAX_BYTES (default 10 MB)
+===================================================================== */
+
+const {
+  applyCors,
+  errorStatus,
+  readRawBody,
+  bearerAuthorised,
+  BadRequestError
+} = require("../lib/http");
+const { saveUpload, uploadInfo } = require("../lib/sheet-sources");
+
+const MAX_BYTES = Number(process.env.SELLTHROUGH_UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+
+function uploadFormat(req, body, filename) {
+  const explicit = String(req.query.format || "").toLowerCase();
+  if (explicit) {
+    if (explicit !== "csv" && explicit !== "xlsx") {
+      throw new BadRequestError("format must be csv or xlsx");
+    }
+    return explicit;
+  }
+
+  const type = String(req.headers["content-type"] || "").toLowerCase();
+  if (type.includes("spreadsheetml")) return "xlsx";
+  if (type.includes("csv")) return "csv";
+  if (/\.xlsx$/i.test(filename || "")) return "xlsx";
+  if (/\.csv$/i.test(filename || "")) return "csv";
+
+  // XLSX files are zips: "PK\x03\x04"
+  return body.length >= 4 && body.readUInt32LE(0) === 0x04034b50 ? "xlsx" : "csv";
+}
+
+/* ------------ EXPORT HANDLER ------------ */
+module.exports = async (req, res) => {
+  if (applyCors(req, res, "GET, POST")) return;
+
+  const token = process.env.SELLTHROUGH_UPLOAD_TOKEN;
+  if (!token) {
+    return res.status(500).json({
+      ok: false,
+      error: "Missing SELLTHROUGH_UPLOAD_TOKEN"
+    });
+  }
+
+  if (!bearerAuthorised(req, token)) {
+    return res.status(401).json({ ok: false, error: "Invalid or missing bearer token" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, upload: await uploadInfo() });
+    }
+
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    const body = await readRawBody(req, { limit: MAX_BYTES });
+    if (!body.length) throw new BadRequestError("Request body is empty");
+
+    const filename = req.query.filename ? String(req.query.filename) : null;
+    const result = await saveUpload(body, { format: uploadFormat(req, body, filename), filename });
+
+    return res.status(200).json({
+      ok: true,
+      filename: result.filename,
+      format: result.format,
+      uploaded_at: result.uploaded_at,
+      row_count: result.row_count,
+      sku_count: result.sku_count,
+      sheet_columns: result.columns,
+      sheet_warning_count: result.warningCount,
+      sheet_warnings: result.warnings
+    });
+  } catch (err) {
+    console.error("sell-through-upload error:", err);
+    return res.status(errorStatus(err)).json({
+      ok: false,
+      error: err.message || String(err),
+      error_type: err.type || null
+    });
+  }
+};
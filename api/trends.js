@@ -0,0 +1,123 @@
+/* =====================================================================
+   Trends API (inventory report snapshots)
+   - Per-SKU time series of any scalar report field across saved
+     snapshots: ?metric=stockout_days,velocity_in_stock (default)
+     &sku=A,B (default: all) &from= &to= (YYYY-MM-DD)
+     &interval=month keeps the last snapshot of each month
+   - ?diff=A,B compares two snapshots (ids, or dates within the
+     profile): before / after / delta / change_pct per SKU, plus SKUs
+     added or removed. An unknown ref is a 400; one still in the index
+     whose file has gone is a 404.
+   - Profile picks which reports line up: ?range= (months, default 24),
+     ?location=, ?velocity_basis= and the dimension filters, as passed
+     to api/inventory-report.js; or ?profile= verbatim. The response
+     lists every stored profile.
+   - Snapshots are written by api/inventory-report.js?snapshot=1 (and
+     inventory-report jobs with it) and by api/alerts.js runs
+     (lib/snapshots.js)
+===================================================================== */
+
+const { applyCors, errorStatus, BadRequestError } = require("../lib/http");
+const { isDate } = require("../lib/dates");
+const { velocityBasis } = require("../lib/sales-units");
+const { dimensionFilters } = require("../lib/dimensions");
+const { normaliseSku } = require("../lib/sku");
+const {
+  snapshotProfile,
+  listSnapshots,
+  resolveSnapshot,
+  buildTrends,
+  diffSnapshots
+} = require("../lib/snapshots");
+
+const DEFAULT_METRICS = ["stockout_days", "velocity_in_stock"];
+
+const listParam = (v) =>
+  String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function metricsParam(value) {
+  const metrics = listParam(value);
+  for (const m of metrics) {
+    if (!/^[a-z0-9_]+$/.test(m)) throw new BadRequestError(`Invalid metric "${m}"`);
+  }
+  return metrics.length ? metrics : DEFAULT_METRICS;
+}
+
+function dateParam(name, value) {
+  if (!value) return null;
+  if (!isDate(value)) throw new BadRequestError(`Invalid ${name} date "${value}", expected YYYY-MM-DD`);
+  return value;
+}
+
+/* ------------ EXPORT HANDLER ------------ */
+module.exports = async (req, res) => {
+  if (applyCors(req, res)) return;
+
+  try {
+    const metrics = metricsParam(req.query.metric || req.query.metrics);
+    const profile =
+      req.query.profile ||
+      snapshotProfile({
+        months: Number(req.query.range) || 24,
+        location: req.query.location || null,
+        velocityBasis: velocityBasis(req.query.velocity_basis),
+        filters: dimensionFilters(req.query)
+      });
+    const profiles = [...new Set((await listSnapshots()).map((e) => e.profile))];
+
+    if (req.query.diff) {
+      const refs = listParam(req.query.diff);
+      if (refs.length !== 2) {
+        throw new BadRequestError("diff takes two snapshots: ?diff=<id|date>,<id|date>");
+      }
+      const before = await resolveSnapshot(refs[0], profile);
+      const after = await resolveSnapshot(refs[1], profile);
+      const info = (s) => ({ id: s.id, date: s.date, profile: s.profile, generated_at: s.generated_at });
+
+      return res.status(200).json({
+        ok: true,
+        metrics,
+        before: info(before),
+        after: info(after),
+        ...diffSnapshots(before, after, metrics)
+      });
+    }
+
+    const interval = req.query.interval === "month" ? "month" : "day";
+    const from = dateParam("from", req.query.from);
+    const to = dateParam("to", req.query.to);
+    const skus = listParam(req.query.sku).map((sku) => normaliseSku(sku));
+
+    const { snapshots, series } = await buildTrends({
+      profile,
+      metrics,
+      skus: skus.length ? skus : null,
+      from,
+      to,
+      interval
+    });
+
+    return res.status(200).json({
+      ok: true,
+      profile,
+      profiles,
+      metrics,
+      interval,
+      from,
+      to,
+      snapshot_count: snapshots.length,
+      snapshots,
+      series
+    });
+  } catch (err) {
+    console.error("trends error:", err);
+    return res.status(errorStatus(err)).json({
+      ok: false,
+      error: err.message || String(err),
+      error_type: err.type || null
+    });
+  }
+};
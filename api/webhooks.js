@@ -0,0 +1,86 @@
+/* =====================================================================
+   Shopify Webhooks API
+   - POST target for orders/create, orders/updated, orders/cancelled,
+     refunds/create and inventory_levels/update subscriptions
+   - Verifies X-Shopify-Hmac-Sha256 with SHOPIFY_WEBHOOK_SECRET (401
+     otherwise)
+   - Each X-Shopify-Webhook-Id is processed once; repeats get a 200 with
+     duplicate: true so Shopify stops retrying
+   - Order topics keep the sales ledger current between syncs;
+     inventory levels feed same-day stockouts into the inventory report
+===================================================================== */
+
+const {
+  verifyShopifyHmac,
+  markWebhookSeen,
+  forgetWebhook,
+  handleWebhook
+} = require("../lib/webhooks");
+const { readRawBody } = require("../lib/http");
+
+/* ------------ EXPORT HANDLER ------------ */
+module.exports = async (req, res) => {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  if (!process.env.SHOPIFY_WEBHOOK_SECRET) {
+    return res.status(500).json({
+      ok: false,
+      error: "Missing SHOPIFY_WEBHOOK_SECRET"
+    });
+  }
+
+  const topic = req.headers["x-shopify-topic"] || null;
+  const webhookId = req.headers["x-shopify-webhook-id"] || null;
+
+  let rawBody;
+  try {
+    rawBody = await readRawBody(req);
+  } catch (err) {
+    console.error("webhooks: could not read body", err);
+    return res.status(400).json({ ok: false, error: "Could not read request body" });
+  }
+
+  if (!verifyShopifyHmac(rawBody, req.headers["x-shopify-hmac-sha256"])) {
+    return res.status(401).json({ ok: false, error: "Invalid HMAC signature" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    return res.status(400).json({ ok: false, error: "Body is not valid JSON" });
+  }
+
+  try {
+    if (!(await markWebhookSeen(webhookId))) {
+      return res.status(200).json({ ok: true, topic, webhook_id: webhookId, duplicate: true });
+    }
+
+    let result;
+    try {
+      result = await handleWebhook(topic, payload);
+    } catch (err) {
+      // Let Shopify's retry get through
+      await forgetWebhook(webhookId);
+      throw err;
+    }
+
+    return res.status(200).json({
+      ok: true,
+      topic,
+      webhook_id: webhookId,
+      duplicate: false,
+      ...result
+    });
+  } catch (err) {
+    console.error("webhooks error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: err.message || String(err),
+      error_type: err.type || null
+    });
+  }
+};
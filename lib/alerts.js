@@ -0,0 +1,285 @@
+/* =====================================================================
+   Stock alerts on top of the inventory report
+   - low_cover        on hand ÷ in-stock velocity below cover_days
+                      (ALERT_COVER_DAYS, default 14); SKUs that don't
+                      sell aren't flagged
+   - new_stockout     on hand was above 0 at the last run (or, on the
+                      first run, in the baseline snapshot) and is 0 now
+   - stockout_rising  SKUs graded in `grades` (ALERT_GRADES, default A)
+                      whose stockout_days grew by at least rise_days
+                      (ALERT_STOCKOUT_RISE_DAYS, default 1) against the
+                      newest snapshot at least lookback_days old
+                      (ALERT_LOOKBACK_DAYS, default 7; lib/snapshots.js)
+   - Grades from the sell-through data when it's configured, else our
+     own revenue ABC (lib/classification.js)
+   - Dedupe: an alert goes out when it first appears, then again only
+     every repeat_hours (ALERT_REPEAT_HOURS, default 24; 0 = never)
+     while it stays active; once it clears it can fire again. State
+     (last levels, active alerts) lives in REPORT_DATA_DIR/alerts.
+   - Delivery through lib/notifiers.js; an alert only counts as sent
+     when at least one notifier took it
+===================================================================== */
+
+const { dataPath, readJson, writeJson, withLock } = require("./store");
+const { numberParam } = require("./http");
+const { buildInventoryReport } = require("./inventory-report");
+const { fetchSheetBySku } = require("./sell-through");
+const { sheetSourceConfigured } = require("./sheet-sources");
+const { classificationOptions, classifyAbc } = require("./classification");
+const { listSnapshots, loadSnapshot, reportProfile, saveSnapshotSafely } = require("./snapshots");
+const { addDays } = require("./dates");
+const { notify, getNotifiers } = require("./notifiers");
+
+const STATE_FILE = dataPath("alerts", "state.json");
+const HOUR_MS = 60 * 60 * 1000;
+
+const ALERT_TYPES = ["low_cover", "new_stockout", "stockout_rising"];
+
+const round1 = (x) => Math.round(x * 10) / 10;
+const round2 = (x) => Math.round(x * 100) / 100;
+
+/* ------------ Thresholds (?cover_days= ... over ALERT_* env) ------------ */
+function alertThresholds(query = {}, env = process.env) {
+  const grades = String(query.grades || env.ALERT_GRADES || "A")
+    .split(",")
+    .map((g) => g.trim().toUpperCase())
+    .filter(Boolean);
+
+  return {
+    cover_days: numberParam(query.cover_days, env.ALERT_COVER_DAYS, 14, "cover_days"),
+    grades,
+    rise_days: numberParam(query.rise_days, env.ALERT_STOCKOUT_RISE_DAYS, 1, "rise_days", { min: 1 }),
+    lookback_days: numberParam(query.lookback_days, env.ALERT_LOOKBACK_DAYS, 7, "lookback_days", { min: 1 }),
+    repeat_hours: numberParam(query.repeat_hours, env.ALERT_REPEAT_HOURS, 24, "repeat_hours")
+  };
+}
+
+/* ------------ Inputs ------------ */
+/* sku → grade; sheet grades first, computed ABC for the rest */
+async function gradesBySku(report, sheetSource) {
+  const computed = classifyAbc(
+    Object.fromEntries(Object.entries(report.items).map(([sku, item]) => [sku, item.revenue])),
+    classificationOptions().abcThresholds
+  );
+  const grades = Object.fromEntries(Object.entries(computed).map(([sku, c]) => [sku, c.grade]));
+
+  if (!sheetSourceConfigured(sheetSource)) return { grades, source: "computed" };
+
+  try {
+    const sheet = await fetchSheetBySku({ source: sheetSource });
+    for (const [sku, row] of Object.entries(sheet.bySku)) {
+      if (row.abc_grade && grades[sku] !== undefined) grades[sku] = row.abc_grade;
+    }
+    return { grades, source: sheetSource };
+  } catch (err) {
+    console.error("alerts: sheet unavailable, using computed grades", err);
+    return { grades, source: "computed" };
+  }
+}
+
+/* Newest snapshot of the report's profile at least lookbackDays old */
+async function baselineSnapshot(report, lookbackDays) {
+  const entries = await listSnapshots({
+    profile: reportProfile(report),
+    to: addDays(report.end_date, -lookbackDays)
+  });
+  const entry = entries[entries.length - 1];
+  return entry ? loadSnapshot(entry.id) : null;
+}
+
+/* ------------ Detection ------------ */
+function describe(item) {
+  return [item.sku, item.product_title, item.variant_title].filter(Boolean).join(" – ");
+}
+
+/**
+ * @param {object} report  From buildInventoryReport()
+ * @param {object} opts
+ * @param {object} opts.thresholds      From alertThresholds()
+ * @param {object} [opts.grades]        sku → ABC grade
+ * @param {object|null} [opts.previousLevels]  sku → on hand at the last run
+ * @param {object|null} [opts.baseline] Snapshot to compare stockout days with
+ * @returns {object[]} Alerts, keyed "<type>:<sku>"
+ */
+function detectAlerts(report, { thresholds, grades = {}, previousLevels = null, baseline = null }) {
+  const alerts = [];
+  const wanted = new Set(thresholds.grades);
+
+  for (const [sku, item] of Object.entries(report.items)) {
+    const available = item.current_available;
+    const velocity = item.velocity_in_stock;
+    const before = baseline?.items?.[sku] || null;
+    const grade = grades[sku] || "";
+
+    const base = {
+      sku,
+      product_title: item.product_title || "",
+      variant_title: item.variant_title || "",
+      abc_grade: grade || null,
+      current_available: available,
+      incoming: item.incoming ?? null,
+      velocity_in_stock: velocity,
+      stockout_days: item.stockout_days
+    };
+    const push = (type, severity, fields, message) =>
+      alerts.push({ key: `${type}:${sku}`, type, severity, ...base, ...fields, message });
+
+    const previous = previousLevels ? previousLevels[sku] : before?.current_available;
+
+    if (available != null && available <= 0) {
+      if (previous > 0) {
+        push(
+          "new_stockout",
+          "critical",
+          { previous_available: previous },
+          `${describe(item)}: out of stock (was ${previous})`
+        );
+      }
+    } else if (available > 0 && velocity > 0) {
+      const cover = available / velocity;
+      if (cover < thresholds.cover_days) {
+        push(
+          "low_cover",
+          cover < thresholds.cover_days / 2 ? "critical" : "warning",
+          { days_of_cover: round1(cover) },
+          `${describe(item)}: ${available} on hand, ${round1(cover)} days of cover at ${round2(velocity)}/day`
+        );
+      }
+    }
+
+    if (before && wanted.has(grade) && item.stockout_days != null && before.stockout_days != null) {
+      const rise = item.stockout_days - before.stockout_days;
+      if (rise >= thresholds.rise_days) {
+        push(
+          "stockout_rising",
+          "warning",
+          {
+            previous_stockout_days: before.stockout_days,
+            stockout_days_change: rise,
+            baseline_date: baseline.date
+          },
+          `${describe(item)} (${grade}): stockout days ${before.stockout_days} → ${item.stockout_days} since ${baseline.date}`
+        );
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/* ------------ Dedupe ------------ */
+function dueAlerts(alerts, active, repeatHours, now = Date.now()) {
+  return alerts.filter((alert) => {
+    const last = active[alert.key]?.last_sent_at;
+    if (!last) return true;
+    return repeatHours > 0 && now - Date.parse(last) >= repeatHours * HOUR_MS;
+  });
+}
+
+/* ------------ Run ------------ */
+/**
+ * Builds the report, detects alerts, sends the ones that are due and
+ * records what went out.
+ *
+ * @param {object} opts
+ * @param {object} opts.reportOptions  For buildInventoryReport()
+ * @param {object} [opts.thresholds]   From alertThresholds()
+ * @param {string} [opts.sheetSource]  Where sheet grades come from
+ * @param {boolean} [opts.dryRun]      Detect only: nothing sent or recorded
+ */
+async function runAlerts({
+  reportOptions,
+  thresholds = alertThresholds(),
+  sheetSource = "csv_url",
+  dryRun = false
+}) {
+  const report = await buildInventoryReport(reportOptions);
+
+  // Today's snapshot doubles as a later run's baseline
+  const snapshot = dryRun ? null : await saveSnapshotSafely(report, "alerts");
+
+  const { grades, source: gradeSource } = await gradesBySku(report, sheetSource);
+  const baseline = await baselineSnapshot(report, thresholds.lookback_days);
+  const generatedAt = new Date().toISOString();
+  const profile = reportProfile(report);
+
+  const run = async () => {
+    const state = (await readJson(STATE_FILE)) || { levels: null, active: {} };
+    const alerts = detectAlerts(report, {
+      thresholds,
+      grades,
+      // Levels from another location / filter set don't compare
+      previousLevels: state.profile === profile ? state.levels : null,
+      baseline
+    });
+    const due = dueAlerts(alerts, state.active, thresholds.repeat_hours);
+
+    let results = [];
+    if (!dryRun && due.length) {
+      results = await notify(due, {
+        generated_at: generatedAt,
+        window: { start_date: report.start_date, end_date: report.end_date, location: report.location }
+      });
+    }
+    const delivered = results.some((r) => r.ok);
+
+    const keys = new Set(alerts.map((a) => a.key));
+    const cleared = Object.keys(state.active).filter((key) => !keys.has(key));
+
+    if (!dryRun) {
+      const active = {};
+      for (const alert of alerts) {
+        const prior = state.active[alert.key];
+        active[alert.key] = {
+          type: alert.type,
+          sku: alert.sku,
+          first_seen_at: prior?.first_seen_at || generatedAt,
+          last_sent_at: delivered && due.includes(alert) ? generatedAt : prior?.last_sent_at || null
+        };
+      }
+
+      await writeJson(STATE_FILE, {
+        last_run_at: generatedAt,
+        profile,
+        levels: Object.fromEntries(
+          Object.entries(report.items).map(([sku, item]) => [sku, item.current_available])
+        ),
+        active
+      });
+    }
+
+    return { alerts, due, delivered, cleared, results };
+  };
+
+  const { alerts, due, delivered, cleared, results } = dryRun ? await run() : await withLock(STATE_FILE, run);
+
+  const counts = Object.fromEntries(ALERT_TYPES.map((t) => [t, alerts.filter((a) => a.type === t).length]));
+
+  return {
+    ok: true,
+    generated_at: generatedAt,
+    dry_run: dryRun,
+    start_date: report.start_date,
+    end_date: report.end_date,
+    location: report.location,
+    thresholds,
+    grade_source: gradeSource,
+    snapshot,
+    baseline: baseline ? { id: baseline.id, date: baseline.date } : null,
+    counts,
+    sent: delivered ? due.map((a) => a.key) : [],
+    suppressed: alerts.length - due.length,
+    cleared,
+    notifiers: dryRun
+      ? getNotifiers().map((n) => ({ name: n.name, ok: null, error: null }))
+      : results,
+    alerts
+  };
+}
+
+module.exports = {
+  ALERT_TYPES,
+  alertThresholds,
+  detectAlerts,
+  runAlerts
+};
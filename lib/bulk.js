@@ -0,0 +1,137 @@
+/* =====================================================================
+   Shopify Bulk Operations helper
+   - Starts a bulkOperationRunQuery
+   - Polls currentBulkOperation until it finishes
+   - Streams the JSONL result line by line (no full download in memory)
+
+   Bulk results are flat: nested connection nodes come out as their own
+   lines with a __parentId pointing at the owning object, always after
+   the parent line.
+===================================================================== */
+
+const { Readable } = require("stream");
+const readline = require("readline");
+const {
+  shopifyGraphQL,
+  ShopifyError,
+  ShopifyNetworkError,
+  ShopifySchemaError
+} = require("./shopify");
+
+const POLL_INTERVAL_MS = Number(process.env.SHOPIFY_BULK_POLL_MS) || 2000;
+const BULK_TIMEOUT_MS = Number(process.env.SHOPIFY_BULK_TIMEOUT_MS) || 240000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* ------------ Start ------------ */
+async function startBulkQuery(query) {
+  const mutation = `
+    mutation RunBulk($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(mutation, { query });
+  const result = data.bulkOperationRunQuery;
+
+  if (result.userErrors?.length) {
+    throw new ShopifySchemaError(
+      `Bulk operation rejected: ${result.userErrors.map((e) => e.message).join("; ")}`,
+      { details: result.userErrors }
+    );
+  }
+
+  return result.bulkOperation;
+}
+
+/* ------------ Poll ------------ */
+async function waitForBulkOperation(id, { pollIntervalMs = POLL_INTERVAL_MS, timeoutMs = BULK_TIMEOUT_MS } = {}) {
+  const query = `
+    query CurrentBulk {
+      currentBulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+        partialDataUrl
+      }
+    }
+  `;
+
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    const data = await shopifyGraphQL(query);
+    const op = data.currentBulkOperation;
+
+    if (!op || op.id !== id) {
+      throw new ShopifyError(`Bulk operation ${id} is no longer the current operation`);
+    }
+
+    if (op.status === "COMPLETED") return op;
+
+    if (["FAILED", "CANCELED", "EXPIRED"].includes(op.status)) {
+      throw new ShopifyError(`Bulk operation ${op.status.toLowerCase()}: ${op.errorCode || "no error code"}`, {
+        details: op
+      });
+    }
+
+    if (Date.now() > deadline) {
+      throw new ShopifyNetworkError(`Bulk operation still ${op.status} after ${timeoutMs}ms`, {
+        details: op
+      });
+    }
+
+    await sleep(pollIntervalMs);
+  }
+}
+
+/* ------------ Stream JSONL ------------ */
+/* Accepts a URL (Shopify's signed download link) or any readable stream,
+   so recorded fixtures can be replayed through the same path. */
+async function* readJsonl(source) {
+  let input = source;
+
+  if (typeof source === "string") {
+    let res;
+    try {
+      res = await fetch(source);
+    } catch (err) {
+      throw new ShopifyNetworkError(`Bulk result download failed: ${err.message}`, { cause: err });
+    }
+    if (!res.ok) {
+      throw new ShopifyNetworkError(`Bulk result download failed (HTTP ${res.status})`, {
+        status: res.status
+      });
+    }
+    input = Readable.fromWeb(res.body);
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    yield JSON.parse(line);
+  }
+}
+
+/* ------------ Run end-to-end ------------ */
+async function* runBulkQuery(query, opts = {}) {
+  const started = await startBulkQuery(query);
+  const op = await waitForBulkOperation(started.id, opts);
+
+  // A query that matched nothing completes without a result file
+  if (!op.url) return;
+
+  yield* readJsonl(op.url);
+}
+
+module.exports = {
+  runBulkQuery,
+  readJsonl,
+  startBulkQuery,
+  waitForBulkOperation
+};
@@ -0,0 +1,241 @@
+/* =====================================================================
+   Shopify fetch cache
+   - Sits behind shopifyGraphQL({ cache: "<type>" }) and bulk pulls, so
+     variants, inventory and orders survive between invocations and are
+     shared by every endpoint that asks the same question
+   - Key = hash(store domain + API version + type + query + variables),
+     so stores or API versions sharing a backend never read each
+     other's entries; TTL per data type
+   - Backends (REPORT_CACHE):
+       memory  per warm function instance (default)
+       fs      JSON files under REPORT_CACHE_DIR (default: tmp dir)
+       redis   Redis over the Upstash REST protocol only: JSON command
+               arrays POSTed to REDIS_REST_URL with REDIS_REST_TOKEN as
+               bearer token (Upstash, Vercel KV, or a REST proxy such
+               as serverless-redis-http in front of plain Redis). It
+               does not speak the Redis wire protocol, so redis:// URLs
+               won't work. Commands time out after 5s and count as
+               a cache error (the request goes on without the cache)
+       off     no caching
+   - TTLs (seconds) via REPORT_CACHE_TTL_<TYPE>, e.g.
+     REPORT_CACHE_TTL_ORDERS=900
+===================================================================== */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_TTLS = {
+  variants: 3600,
+  inventory: 900,
+  orders: 900,
+  shop: 86400,
+  analytics: 3600,
+  default: 300
+};
+
+const REDIS_TIMEOUT_MS = 5000;
+
+/* ------------ Backends ------------ */
+function createMemoryCache() {
+  const store = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      const hit = store.get(key);
+      if (!hit) return undefined;
+      if (hit.expiresAt < Date.now()) {
+        store.delete(key);
+        return undefined;
+      }
+      return hit.value;
+    },
+    async set(key, value, ttlSeconds) {
+      store.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    async clear() {
+      store.clear();
+    }
+  };
+}
+
+function createFileCache(dir = path.join(os.tmpdir(), "shopify-report-cache")) {
+  const file = (key) => path.join(dir, `${key}.json`);
+
+  return {
+    name: "fs",
+    async get(key) {
+      let raw;
+      try {
+        raw = await fs.readFile(file(key), "utf8");
+      } catch {
+        return undefined;
+      }
+
+      try {
+        const hit = JSON.parse(raw);
+        if (hit.expiresAt < Date.now()) {
+          await fs.rm(file(key), { force: true });
+          return undefined;
+        }
+        return hit.value;
+      } catch {
+        return undefined; // half-written or corrupt → treat as a miss
+      }
+    },
+    async set(key, value, ttlSeconds) {
+      await fs.mkdir(dir, { recursive: true });
+      // write-then-rename so concurrent readers never see a partial file
+      const tmp = `${file(key)}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ value, expiresAt: Date.now() + ttlSeconds * 1000 }));
+      await fs.rename(tmp, file(key));
+    },
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/* Upstash REST: POST ["GET", key] to the base URL → { result } */
+function createRedisCache({ url, token, prefix = "shopify-report:" }) {
+  async function command(args) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REDIS_TIMEOUT_MS);
+
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify(args),
+        signal: controller.signal
+      });
+
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok || json.error) {
+        throw new Error(`Redis cache error: ${json.error || res.status}`);
+      }
+      return json.result;
+    } catch (err) {
+      if (err.name !== "AbortError") throw err;
+      throw new Error(`Redis cache error: timed out after ${REDIS_TIMEOUT_MS}ms`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name: "redis",
+    async get(key) {
+      const raw = await command(["GET", prefix + key]);
+      return raw == null ? undefined : JSON.parse(raw);
+    },
+    async set(key, value, ttlSeconds) {
+      await command(["SET", prefix + key, JSON.stringify(value), "EX", String(ttlSeconds)]);
+    },
+    async clear() {
+      // Scoped delete is left to Redis-side tooling; keys expire by TTL
+    }
+  };
+}
+
+function createNullCache() {
+  return {
+    name: "off",
+    async get() {
+      return undefined;
+    },
+    async set() {},
+    async clear() {}
+  };
+}
+
+/* ------------ Active backend ------------ */
+let active = null;
+
+function createCacheFromEnv(env = process.env) {
+  switch ((env.REPORT_CACHE || "memory").toLowerCase()) {
+    case "off":
+    case "none":
+      return createNullCache();
+    case "fs":
+    case "file":
+      return createFileCache(env.REPORT_CACHE_DIR || undefined);
+    case "redis":
+      if (!env.REDIS_REST_URL || !env.REDIS_REST_TOKEN) {
+        console.warn("REPORT_CACHE=redis but REDIS_REST_URL / REDIS_REST_TOKEN missing; using memory");
+        return createMemoryCache();
+      }
+      return createRedisCache({ url: env.REDIS_REST_URL, token: env.REDIS_REST_TOKEN });
+    default:
+      return createMemoryCache();
+  }
+}
+
+function getCache() {
+  if (!active) active = createCacheFromEnv();
+  return active;
+}
+
+/* For tests / scripts that want a specific backend */
+function setCache(cache) {
+  active = cache;
+}
+
+function ttlFor(type) {
+  const fromEnv = Number(process.env[`REPORT_CACHE_TTL_${String(type).toUpperCase()}`]);
+  if (Number.isFinite(fromEnv) && fromEnv >= 0) return fromEnv;
+  return DEFAULT_TTLS[type] ?? DEFAULT_TTLS.default;
+}
+
+/* Read from env rather than lib/shopify.js, which requires this module */
+function cacheKey(type, parts) {
+  const scope = [process.env.SHOPIFY_STORE_DOMAIN || "", process.env.SHOPIFY_API_VERSION || ""];
+  const hash = crypto.createHash("sha256").update(JSON.stringify([...scope, parts])).digest("hex");
+  return `${type}-${hash.slice(0, 40)}`;
+}
+
+/* ------------ Read-through helper ------------ */
+/**
+ * Returns the cached value for (type, parts) or runs fn() and stores
+ * its result. Cache failures are logged and never fail the request.
+ */
+async function cached(type, parts, fn) {
+  const cache = getCache();
+  const ttl = ttlFor(type);
+  if (ttl <= 0 || cache.name === "off") return fn();
+
+  const key = cacheKey(type, parts);
+
+  try {
+    const hit = await cache.get(key);
+    if (hit !== undefined) return hit;
+  } catch (err) {
+    console.error("Cache read error:", err.message);
+  }
+
+  const value = await fn();
+
+  try {
+    await cache.set(key, value, ttl);
+  } catch (err) {
+    console.error("Cache write error:", err.message);
+  }
+
+  return value;
+}
+
+module.exports = {
+  cached,
+  getCache,
+  setCache,
+  ttlFor,
+  createMemoryCache,
+  createFileCache,
+  createRedisCache,
+  createNullCache
+};
@@ -0,0 +1,159 @@
+/* =====================================================================
+   ABC / XYZ classification
+   - ABC: Pareto on revenue (default) or units over the report window.
+     SKUs sorted by value; the ones making up the first 80% of the total
+     are A, up to 95% B, the rest (and anything without sales) C
+   - XYZ: demand variability, coefficient of variation of monthly units
+     (months without sales count as 0). CV ≤ 0.5 X, ≤ 1 Y, else Z
+   - Defaults via ABC_BASIS, ABC_THRESHOLDS ("0.8,0.95") and
+     XYZ_THRESHOLDS ("0.5,1"); per request via ?abc_basis=,
+     ?abc_thresholds=, ?xyz=1, ?xyz_thresholds= (malformed ones are a
+     400, not a silent fallback)
+===================================================================== */
+
+const { BadRequestError, queryFlag } = require("./http");
+
+const DEFAULT_ABC_THRESHOLDS = [0.8, 0.95];
+const DEFAULT_XYZ_THRESHOLDS = [0.5, 1];
+
+/* "0.8,0.95" → [0.8, 0.95]; null when malformed */
+function parseThresholds(value, { max = Infinity } = {}) {
+  const parts = String(value).split(",").map((p) => Number(p.trim()));
+  if (
+    parts.length !== 2 ||
+    parts.some((p) => !Number.isFinite(p) || p <= 0 || p > max) ||
+    parts[0] >= parts[1]
+  ) {
+    return null;
+  }
+  return parts;
+}
+
+/* ?abc_thresholds= over ABC_THRESHOLDS over the default. A malformed
+   query value is a 400; a malformed env value is a config error, not a
+   silent fallback either. */
+function thresholdsParam(value, envName, fallback, { max = Infinity } = {}) {
+  const expected =
+    `two increasing numbers ${max === Infinity ? "above 0" : `in (0, ${max}]`}, e.g. "${fallback.join(",")}"`;
+
+  if (value != null && value !== "") {
+    const parsed = parseThresholds(value, { max });
+    if (!parsed) throw new BadRequestError(`${envName.toLowerCase()} must be ${expected}`);
+    return parsed;
+  }
+
+  const raw = process.env[envName];
+  if (raw == null || raw === "") return fallback;
+  const parsed = parseThresholds(raw, { max });
+  if (!parsed) throw new Error(`${envName} must be ${expected}`);
+  return parsed;
+}
+
+/**
+ * Classification options from query params, env defaults behind them.
+ */
+function classificationOptions(query = {}) {
+  const basis = String(query.abc_basis || process.env.ABC_BASIS || "revenue").toLowerCase();
+  return {
+    basis: basis === "units" ? "units" : "revenue",
+    abcThresholds: thresholdsParam(query.abc_thresholds, "ABC_THRESHOLDS", DEFAULT_ABC_THRESHOLDS, {
+      max: 1
+    }),
+    xyz: queryFlag(query.xyz),
+    xyzThresholds: thresholdsParam(query.xyz_thresholds, "XYZ_THRESHOLDS", DEFAULT_XYZ_THRESHOLDS)
+  };
+}
+
+/* ------------ ABC ------------ */
+/**
+ * @param {object} valueBySku  sku → revenue or units
+ * @param {number[]} thresholds  Cumulative shares closing A and B
+ * @returns {object} sku → { grade, share }  share = cumulative share
+ *   of the total up to and including this SKU (0–1)
+ */
+function classifyAbc(valueBySku, thresholds = DEFAULT_ABC_THRESHOLDS) {
+  const [aMax, bMax] = thresholds;
+  const entries = Object.entries(valueBySku)
+    .map(([sku, v]) => [sku, Math.max(0, Number(v) || 0)])
+    .sort((x, y) => y[1] - x[1] || x[0].localeCompare(y[0]));
+  const total = entries.reduce((sum, [, v]) => sum + v, 0);
+
+  const out = {};
+  let running = 0;
+
+  for (const [sku, value] of entries) {
+    // Grade by where the SKU starts, so the one that crosses 80% is
+    // still an A
+    const before = total > 0 ? running / total : 1;
+    running += value;
+
+    let grade = "C";
+    if (value > 0 && before < aMax) grade = "A";
+    else if (value > 0 && before < bMax) grade = "B";
+
+    out[sku] = { grade, share: total > 0 ? running / total : null };
+  }
+
+  return out;
+}
+
+/* ------------ XYZ ------------ */
+function coefficientOfVariation(series) {
+  if (!series.length) return null;
+  const mean = series.reduce((sum, x) => sum + x, 0) / series.length;
+  if (mean <= 0) return null;
+  const variance = series.reduce((sum, x) => sum + (x - mean) ** 2, 0) / series.length;
+  return Math.sqrt(variance) / mean;
+}
+
+/**
+ * @param {object} unitsByMonth  "YYYY-MM" → units
+ * @param {string[]} months      Every month in the window
+ * @returns {{ grade: string, cv: number|null }}  No demand → Z
+ */
+function classifyXyz(unitsByMonth, months, thresholds = DEFAULT_XYZ_THRESHOLDS) {
+  const cv = coefficientOfVariation(months.map((m) => (unitsByMonth || {})[m] || 0));
+  const [xMax, yMax] = thresholds;
+
+  let grade = "Z";
+  if (cv != null && cv <= xMax) grade = "X";
+  else if (cv != null && cv <= yMax) grade = "Y";
+
+  return { grade, cv: cv == null ? null : Math.round(cv * 1000) / 1000 };
+}
+
+/* "YYYY-MM" for every month from start to end (inclusive) */
+function listMonths(startDate, endDate) {
+  const months = [];
+  let [y, m] = startDate.slice(0, 7).split("-").map(Number);
+  const end = endDate.slice(0, 7);
+
+  while (true) {
+    const key = `${y}-${String(m).padStart(2, "0")}`;
+    if (key > end) break;
+    months.push(key);
+    if (++m > 12) {
+      m = 1;
+      y++;
+    }
+  }
+
+  return months;
+}
+
+/* Sheet and computed grade both known and different */
+function gradeMismatch(sheetGrade, computedGrade) {
+  const sheet = String(sheetGrade || "").trim().toUpperCase();
+  return Boolean(sheet && computedGrade && sheet !== computedGrade);
+}
+
+module.exports = {
+  DEFAULT_ABC_THRESHOLDS,
+  DEFAULT_XYZ_THRESHOLDS,
+  parseThresholds,
+  classificationOptions,
+  classifyAbc,
+  classifyXyz,
+  listMonths,
+  gradeMismatch
+};
@@ -0,0 +1,79 @@
+/* =====================================================================
+   Period-over-period comparison (?compare=)
+   - previous_period: the same number of days, ending the day before
+     the report starts
+   - previous_year: the same dates one year earlier (29 Feb → 28 Feb)
+   - Per-SKU deltas: current − previous, plus the relative change
+===================================================================== */
+
+const { BadRequestError } = require("./http");
+const { addDays, addMonths, windowFromDates } = require("./dates");
+
+const COMPARE_MODES = ["previous_period", "previous_year"];
+
+/* ?compare= → mode or null; anything else is a 400 */
+function compareMode(value) {
+  if (value == null || value === "") return null;
+  const v = String(value).toLowerCase();
+  if (!COMPARE_MODES.includes(v)) {
+    throw new BadRequestError(`compare must be one of ${COMPARE_MODES.join(", ")}`);
+  }
+  return v;
+}
+
+/**
+ * @param {object} window  From getDateRange()
+ * @param {"previous_period"|"previous_year"} mode
+ */
+function comparisonWindow(window, mode) {
+  if (mode === "previous_year") {
+    return windowFromDates(
+      addMonths(window.startDate, -12),
+      addMonths(window.endDate, -12),
+      window.timeZone
+    );
+  }
+
+  const endDate = addDays(window.startDate, -1);
+  return windowFromDates(addDays(endDate, -(window.days - 1)), endDate, window.timeZone);
+}
+
+/**
+ * @param {object} current
+ * @param {object|null} previous  Same SKU in the comparison window
+ * @param {string[]} fields
+ * @returns {{ previous, delta, change_pct }}  change_pct is 0–1 based;
+ *   null where the previous value is missing or 0
+ */
+function periodDelta(current, previous, fields) {
+  const out = { previous: {}, delta: {}, change_pct: {} };
+
+  for (const f of fields) {
+    const cur = current?.[f];
+    const prev = previous?.[f];
+    const known = cur != null && prev != null;
+
+    out.previous[f] = prev ?? null;
+    out.delta[f] = known ? Math.round((cur - prev) * 10000) / 10000 : null;
+    out.change_pct[f] = known && prev !== 0 ? Math.round(((cur - prev) / prev) * 10000) / 10000 : null;
+  }
+
+  return out;
+}
+
+function windowInfo(mode, window) {
+  return {
+    mode,
+    start_date: window.startDate,
+    end_date: window.endDate,
+    days: window.days
+  };
+}
+
+module.exports = {
+  COMPARE_MODES,
+  compareMode,
+  comparisonWindow,
+  periodDelta,
+  windowInfo
+};
@@ -0,0 +1,129 @@
+/* =====================================================================
+   Calendar dates in the store's timezone
+   - Report windows are whole local days: start at local midnight, end
+     at 23:59:59 local, converted to UTC instants for Shopify queries
+   - Offsets come from Intl, so DST changes inside a window are handled
+   - Dates are plain "YYYY-MM-DD" strings throughout
+===================================================================== */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = {};
+function partsFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    });
+  }
+  return formatters[timeZone];
+}
+
+function zonedParts(instant, timeZone) {
+  const out = {};
+  for (const p of partsFormatter(timeZone).formatToParts(new Date(instant))) {
+    if (p.type !== "literal") out[p.type] = Number(p.value);
+  }
+  return out;
+}
+
+/* Unknown / missing zone names fall back to UTC */
+function validTimeZone(timeZone) {
+  if (!timeZone) return "UTC";
+  try {
+    partsFormatter(timeZone);
+    return timeZone;
+  } catch {
+    return "UTC";
+  }
+}
+
+/* ------------ Offsets ------------ */
+/* Milliseconds the zone is ahead of UTC at that instant */
+function zoneOffsetMs(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC instant for a local wall-clock time. Re-checks the offset at the
+ * result so times next to a DST switch land on the right side.
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm, ss] = time.split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm, ss || 0);
+
+  let utc = wall - zoneOffsetMs(wall, timeZone);
+  const corrected = wall - zoneOffsetMs(utc, timeZone);
+  if (corrected !== utc) utc = corrected;
+
+  return new Date(utc);
+}
+
+/* ------------ Local dates ------------ */
+/* "YYYY-MM-DD" the instant falls on in the zone */
+function localDate(instant, timeZone = "UTC") {
+  const p = zonedParts(instant, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+function isDate(value) {
+  if (!DATE_RE.test(String(value || ""))) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+/* Calendar arithmetic on "YYYY-MM-DD" (no timezone involved) */
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/* Same day n months earlier/later, clamped to the month's last day */
+function addMonths(date, n) {
+  const [y, m, d] = date.split("-").map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + n, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+function daysInclusive(startDate, endDate) {
+  return Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1;
+}
+
+/* ------------ Windows ------------ */
+/**
+ * Whole local days startDate..endDate as a report window.
+ */
+function windowFromDates(startDate, endDate, timeZone = "UTC") {
+  return {
+    startDate,
+    endDate,
+    startISO: zonedTimeToUtc(startDate, "00:00:00", timeZone).toISOString(),
+    endISO: zonedTimeToUtc(endDate, "23:59:59", timeZone).toISOString(),
+    days: daysInclusive(startDate, endDate),
+    timeZone
+  };
+}
+
+module.exports = {
+  validTimeZone,
+  zoneOffsetMs,
+  zonedTimeToUtc,
+  localDate,
+  isDate,
+  addDays,
+  addMonths,
+  daysInclusive,
+  windowFromDates
+};
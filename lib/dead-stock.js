@@ -0,0 +1,129 @@
+/* =====================================================================
+   Dead stock / slow movers
+   - Built on the inventory report (same variants, levels, history and
+     order index), so numbers match it SKU for SKU
+   - dead: stock on hand, no sale in the last N days (or none in the
+     whole window)
+   - slow: still selling, but days of cover (on hand ÷ in-stock
+     velocity) at or above the cover threshold
+   - Age since last receipt = days since the latest positive inventory
+     adjustment; null when there was none in the window
+===================================================================== */
+
+const { buildInventoryReport } = require("./inventory-report");
+const { ordersSource } = require("./ledger");
+const { velocityBasis } = require("./sales-units");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromDate, toDate) {
+  if (!fromDate) return null;
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS);
+}
+
+const clampInt = (v, fallback, min, max) =>
+  Math.min(max, Math.max(min, Math.floor(Number(v) || fallback)));
+
+/* ------------ Query → options ------------ */
+/* Shared by api/dead-stock.js and background jobs (lib/jobs.js) */
+function deadStockOptions(query = {}) {
+  return {
+    days: clampInt(query.days, 90, 1, 730),
+    coverDays: clampInt(query.cover_days, 180, 1, 3650),
+    range: query.range || 12,
+    mode: query.mode === "bulk" ? "bulk" : "paged",
+    source: ordersSource(query.source),
+    location: query.location || null,
+    velocityBasis: velocityBasis(query.velocity_basis)
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {number} [opts.days]       No sales for this many days → dead
+ * @param {number} [opts.coverDays]  Days of cover at/above this → slow
+ * @param {string|number} [opts.range]  Months of history (widened to cover `days`)
+ * @param {"paged"|"bulk"} [opts.mode]
+ * @param {"live"|"ledger"} [opts.source]
+ * @param {string|null} [opts.location]
+ * @param {"net"|"gross"} [opts.velocityBasis]
+ */
+async function buildDeadStockReport({
+  days = 90,
+  coverDays = 180,
+  range = 12,
+  mode = "paged",
+  source = "live",
+  location = null,
+  velocityBasis = "net"
+} = {}) {
+  // The window has to reach back further than the no-sales period
+  const months = Math.max(Number(range) || 12, Math.ceil(days / 30) + 1);
+
+  const report = await buildInventoryReport({
+    range: months,
+    mode,
+    source,
+    location,
+    velocityBasis
+  });
+
+  const items = {};
+  const totals = { dead_count: 0, dead_stock_value: 0, slow_count: 0, slow_stock_value: 0 };
+
+  for (const [sku, item] of Object.entries(report.items)) {
+    if (!(item.current_available > 0)) continue;
+
+    const daysSinceSale = daysBetween(item.last_sold_at, report.end_date);
+    const daysOfCover =
+      item.velocity_in_stock > 0 ? item.current_available / item.velocity_in_stock : null;
+
+    let status = null;
+    if (daysSinceSale == null || daysSinceSale >= days) status = "dead";
+    else if (daysOfCover != null && daysOfCover >= coverDays) status = "slow";
+    if (!status) continue;
+
+    items[sku] = {
+      sku,
+      product_title: item.product_title,
+      status,
+      current_available: item.current_available,
+      last_sold_at: item.last_sold_at,
+      days_since_last_sale: daysSinceSale,
+      velocity_in_stock: item.velocity_in_stock,
+      days_of_cover: daysOfCover == null ? null : Math.round(daysOfCover),
+      unit_cost: item.unit_cost,
+      stock_value: item.stock_value,
+      last_received_at: item.last_received_at,
+      days_since_last_receipt: daysBetween(item.last_received_at, report.end_date)
+    };
+
+    totals[`${status}_count`]++;
+    totals[`${status}_stock_value`] += item.stock_value || 0;
+  }
+
+  totals.dead_stock_value = Math.round(totals.dead_stock_value * 100) / 100;
+  totals.slow_stock_value = Math.round(totals.slow_stock_value * 100) / 100;
+
+  return {
+    ok: true,
+    range_months: report.range_months,
+    start_date: report.start_date,
+    end_date: report.end_date,
+    location: report.location,
+    orders_source: report.orders_source,
+    velocity_basis: report.velocity_basis,
+    currency: report.currency,
+    no_sales_days: days,
+    slow_cover_days: coverDays,
+    generated_at: new Date().toISOString(),
+    data_completeness: report.data_completeness,
+    ...totals,
+    items
+  };
+}
+
+module.exports = {
+  deadStockOptions,
+  buildDeadStockReport
+};
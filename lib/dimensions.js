@@ -0,0 +1,128 @@
+/* =====================================================================
+   Product dimensions on report items
+   - Vendor, product type, tags, collections, status and variant title
+     from fetchAllVariants(), flattened onto each item
+   - Filters: ?vendor=, ?product_type=, ?collection=, ?tag=, ?status=
+     (case-insensitive; collection / tag match any of the item's)
+   - ?group_by=vendor|product_type|collection|product sums the report's
+     additive metrics per group. An item in several collections counts
+     towards each of them, so collection groups can add up to more than
+     the report total.
+===================================================================== */
+
+const { BadRequestError } = require("./http");
+
+const GROUP_BY = ["vendor", "product_type", "collection", "product"];
+const FILTER_FIELDS = ["vendor", "product_type", "collection", "tag", "status"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const norm = (v) => String(v || "").trim().toLowerCase();
+
+/* ------------ From fetchAllVariants() ------------ */
+function variantDimensions(variant) {
+  const p = variant?.product || {};
+  return {
+    product_id: p.id || null,
+    variant_title: variant?.title || "",
+    vendor: p.vendor || "",
+    product_type: p.productType || "",
+    product_status: p.status || "",
+    tags: p.tags || [],
+    collections: p.collections || []
+  };
+}
+
+/* ------------ Query params ------------ */
+/* ?group_by= → dimension or null; anything else is a 400 */
+function groupByParam(value) {
+  if (value == null || value === "") return null;
+  const v = String(value).toLowerCase();
+  if (!GROUP_BY.includes(v)) {
+    throw new BadRequestError(`group_by must be one of ${GROUP_BY.join(", ")}`);
+  }
+  return v;
+}
+
+function dimensionFilters(query = {}) {
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    if (query[field]) filters[field] = norm(query[field]);
+  }
+  return filters;
+}
+
+/* ------------ Filter ------------ */
+function matchesDimensions(item, filters = {}) {
+  if (filters.vendor && norm(item.vendor) !== filters.vendor) return false;
+  if (filters.product_type && norm(item.product_type) !== filters.product_type) return false;
+  if (filters.status && norm(item.product_status) !== filters.status) return false;
+  if (filters.collection && !(item.collections || []).some((c) => norm(c) === filters.collection)) {
+    return false;
+  }
+  if (filters.tag && !(item.tags || []).some((t) => norm(t) === filters.tag)) return false;
+  return true;
+}
+
+/* Items keyed by SKU → same, minus the ones that don't match */
+function filterItems(itemsBySku, filters = {}) {
+  if (!Object.keys(filters).length) return itemsBySku;
+  return Object.fromEntries(
+    Object.entries(itemsBySku).filter(([, item]) => matchesDimensions(item, filters))
+  );
+}
+
+/* ------------ Group ------------ */
+function groupKeys(item, groupBy) {
+  switch (groupBy) {
+    case "vendor":
+      return [item.vendor];
+    case "product_type":
+      return [item.product_type];
+    case "collection":
+      return item.collections?.length ? item.collections : [""];
+    case "product":
+      return [item.product_title];
+    default:
+      return [""];
+  }
+}
+
+/**
+ * @param {object[]} items
+ * @param {string} groupBy
+ * @param {string[]} sumFields  Additive numeric fields to total
+ * @returns {object[]} { key, sku_count, skus, ...totals }, largest first
+ *   by the first sum field
+ */
+function groupItems(items, groupBy, sumFields) {
+  const groups = {};
+
+  for (const item of items) {
+    for (const rawKey of groupKeys(item, groupBy)) {
+      const key = rawKey || "(none)";
+      if (!groups[key]) {
+        groups[key] = { key, sku_count: 0, skus: [] };
+        for (const f of sumFields) groups[key][f] = 0;
+      }
+
+      const g = groups[key];
+      g.sku_count++;
+      g.skus.push(item.sku || item.sku_norm);
+      for (const f of sumFields) g[f] = round2(g[f] + (Number(item[f]) || 0));
+    }
+  }
+
+  const first = sumFields[0];
+  return Object.values(groups).sort((a, b) => b[first] - a[first] || a.key.localeCompare(b.key));
+}
+
+module.exports = {
+  GROUP_BY,
+  FILTER_FIELDS,
+  variantDimensions,
+  groupByParam,
+  dimensionFilters,
+  matchesDimensions,
+  filterItems,
+  groupItems
+};
@@ -0,0 +1,233 @@
+/* =====================================================================
+   Tabular export (?format=csv | ?format=xlsx)
+   - Fixed column lists per report, so spreadsheets built on top of the
+     export don't break when fields are added to the JSON
+   - CSV: RFC 4180 quoting, CRLF rows, header row; round-trips through
+     parseCsv in lib/sheet.js
+   - Rows are written to the response as they are produced
+===================================================================== */
+
+const { once } = require("events");
+const { writeXlsx } = require("./xlsx");
+
+/* ------------ Column sets ------------ */
+const DIMENSION_COLUMNS = [
+  { header: "Vendor", get: (i) => i.vendor },
+  { header: "Product type", get: (i) => i.product_type },
+  { header: "Collections", get: (i) => (i.collections || []).join("; ") },
+  { header: "Tags", get: (i) => (i.tags || []).join("; ") }
+];
+
+const INVENTORY_COLUMNS = [
+  { header: "SKU", get: (i) => i.sku },
+  { header: "Merged raw SKUs", get: (i) => (i.raw_skus || []).join("; ") },
+  { header: "Product title", get: (i) => i.product_title },
+  { header: "Variant title", get: (i) => i.variant_title },
+  ...DIMENSION_COLUMNS,
+  { header: "Current available", get: (i) => i.current_available },
+  { header: "Incoming", get: (i) => i.incoming },
+  { header: "Days in stock", get: (i) => i.days_in_stock },
+  { header: "Stockout days", get: (i) => i.stockout_days },
+  { header: "Sold while in stock", get: (i) => i.sold_while_in_stock },
+  { header: "Total sold", get: (i) => i.total_sold },
+  { header: "Gross sold", get: (i) => i.gross_sold },
+  { header: "Refunded", get: (i) => i.refunded },
+  { header: "Cancelled", get: (i) => i.cancelled },
+  { header: "Net sold", get: (i) => i.net_sold },
+  { header: "Velocity in stock", get: (i) => i.velocity_in_stock },
+  { header: "Price", get: (i) => i.price },
+  { header: "Revenue", get: (i) => i.revenue },
+  { header: "Avg selling price", get: (i) => i.avg_selling_price },
+  { header: "Unit cost", get: (i) => i.unit_cost },
+  { header: "COGS", get: (i) => i.cogs },
+  { header: "Gross margin", get: (i) => i.gross_margin },
+  { header: "Gross margin %", get: (i) => i.gross_margin_pct },
+  { header: "Stock value", get: (i) => i.stock_value },
+  { header: "GMROI", get: (i) => i.gmroi },
+  { header: "Lost units", get: (i) => i.lost_units },
+  { header: "Lost revenue", get: (i) => i.lost_revenue }
+];
+
+const FORECAST_COLUMNS = [
+  { header: "Forecast next 30", get: (i) => i.forecast?.next_30 },
+  { header: "Forecast next 60", get: (i) => i.forecast?.next_60 },
+  { header: "Forecast next 90", get: (i) => i.forecast?.next_90 },
+  { header: "Forecast total", get: (i) => i.forecast?.total }
+];
+
+const COMPARISON_COLUMNS = [
+  { header: "Previous total sold", get: (i) => i.comparison?.previous.total_sold },
+  { header: "Δ total sold", get: (i) => i.comparison?.delta.total_sold },
+  { header: "Previous stockout days", get: (i) => i.comparison?.previous.stockout_days },
+  { header: "Δ stockout days", get: (i) => i.comparison?.delta.stockout_days },
+  { header: "Previous velocity", get: (i) => i.comparison?.previous.velocity_in_stock },
+  { header: "Δ velocity", get: (i) => i.comparison?.delta.velocity_in_stock }
+];
+
+const SELL_THROUGH_COLUMNS = [
+  { header: "SKU", get: (i) => i.sku_norm },
+  { header: "Raw SKU", get: (i) => i.sku_raw },
+  { header: "Merged raw SKUs", get: (i) => (i.raw_skus || []).join("; ") },
+  { header: "Product title", get: (i) => i.product_title },
+  { header: "Variant title", get: (i) => i.variant_title },
+  ...DIMENSION_COLUMNS,
+  { header: "ABC grade", get: (i) => i.abc_grade },
+  { header: "ABC grade (computed)", get: (i) => i.abc_grade_computed },
+  { header: "ABC mismatch", get: (i) => (i.abc_mismatch ? "yes" : "") },
+  { header: "XYZ grade", get: (i) => i.xyz_grade },
+  { header: "Total sold", get: (i) => i.total_sold_24m },
+  { header: "Gross sold", get: (i) => i.gross_sold_24m },
+  { header: "Refunded", get: (i) => i.refunded_24m },
+  { header: "Cancelled", get: (i) => i.cancelled_24m },
+  { header: "Net sold", get: (i) => i.net_sold_24m },
+  { header: "Days in stock", get: (i) => i.days_in_stock_24m },
+  { header: "Days out of stock", get: (i) => i.days_out_of_stock_24m },
+  { header: "In-stock rate", get: (i) => i.in_stock_rate_24m },
+  { header: "Velocity in stock", get: (i) => i.velocity_in_stock_24m },
+  { header: "Avg unit price", get: (i) => i.avg_unit_price_24m },
+  { header: "Revenue", get: (i) => i.revenue_24m },
+  { header: "Avg selling price", get: (i) => i.avg_selling_price_24m },
+  { header: "Lost units", get: (i) => i.lost_units_24m },
+  { header: "Lost revenue", get: (i) => i.lost_revenue_24m },
+  { header: "Inventory units sold (sheet)", get: (i) => i.inventory_units_sold_csv },
+  { header: "Sell-through rate % (sheet)", get: (i) => i.sell_through_rate_csv },
+  { header: "Percent inventory sold % (sheet)", get: (i) => i.percent_inventory_sold_csv }
+];
+
+const SELL_THROUGH_COMPARISON_COLUMNS = [
+  { header: "Previous total sold", get: (i) => i.comparison?.previous.total_sold_24m },
+  { header: "Δ total sold", get: (i) => i.comparison?.delta.total_sold_24m },
+  { header: "Previous revenue", get: (i) => i.comparison?.previous.revenue_24m },
+  { header: "Δ revenue", get: (i) => i.comparison?.delta.revenue_24m },
+  { header: "Previous days out of stock", get: (i) => i.comparison?.previous.days_out_of_stock_24m },
+  { header: "Δ days out of stock", get: (i) => i.comparison?.delta.days_out_of_stock_24m },
+  { header: "Previous velocity", get: (i) => i.comparison?.previous.velocity_in_stock_24m },
+  { header: "Δ velocity", get: (i) => i.comparison?.delta.velocity_in_stock_24m }
+];
+
+const DEAD_STOCK_COLUMNS = [
+  { header: "SKU", get: (i) => i.sku },
+  { header: "Product title", get: (i) => i.product_title },
+  { header: "Status", get: (i) => i.status },
+  { header: "Current available", get: (i) => i.current_available },
+  { header: "Last sold", get: (i) => i.last_sold_at },
+  { header: "Days since last sale", get: (i) => i.days_since_last_sale },
+  { header: "Velocity in stock", get: (i) => i.velocity_in_stock },
+  { header: "Days of cover", get: (i) => i.days_of_cover },
+  { header: "Unit cost", get: (i) => i.unit_cost },
+  { header: "Stock value", get: (i) => i.stock_value },
+  { header: "Last received", get: (i) => i.last_received_at },
+  { header: "Days since last receipt", get: (i) => i.days_since_last_receipt }
+];
+
+function inventoryColumns(report) {
+  return [
+    ...INVENTORY_COLUMNS,
+    ...(report.forecast_horizon_days ? FORECAST_COLUMNS : []),
+    ...(report.comparison ? COMPARISON_COLUMNS : [])
+  ];
+}
+
+function sellThroughColumns(report) {
+  return report?.comparison
+    ? [...SELL_THROUGH_COLUMNS, ...SELL_THROUGH_COMPARISON_COLUMNS]
+    : SELL_THROUGH_COLUMNS;
+}
+
+function deadStockColumns() {
+  return DEAD_STOCK_COLUMNS;
+}
+
+/* ?group_by= exports one row per group: key, SKU count, then the
+   summed fields ("total_sold_24m" → "Total sold 24m") */
+function groupColumns(report, fields) {
+  const label = (f) =>
+    f === "cogs" ? "COGS" : f.charAt(0).toUpperCase() + f.slice(1).replace(/_/g, " ");
+  return [
+    { header: label(report.group_by), get: (g) => g.key },
+    { header: "SKU count", get: (g) => g.sku_count },
+    ...fields.map((f) => ({ header: label(f), get: (g) => g[f] }))
+  ];
+}
+
+/* ------------ CSV ------------ */
+function csvField(value) {
+  if (value == null) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(",") + "\r\n";
+}
+
+function* tableRows(columns, items) {
+  for (const item of items) {
+    yield columns.map((c) => {
+      const v = c.get(item);
+      return v === undefined ? null : v;
+    });
+  }
+}
+
+/* ------------ Send ------------ */
+async function writeCsv(out, header, rows) {
+  if (!out.write(csvRow(header))) await once(out, "drain");
+  for (const values of rows) {
+    if (!out.write(csvRow(values))) await once(out, "drain");
+  }
+}
+
+/**
+ * Streams a report as CSV or XLSX. Items are sorted by the first column
+ * so output order is stable between runs.
+ *
+ * @param {ServerResponse} res
+ * @param {"csv"|"xlsx"} format
+ * @param {object[]} columns   { header, get(item) }
+ * @param {object} itemsBySku  Report items keyed by SKU
+ * @param {string} filename    Without extension
+ */
+async function sendTable(res, format, columns, itemsBySku, filename) {
+  const items = Object.values(itemsBySku).sort((a, b) => {
+    const ka = String(columns[0].get(a) ?? "");
+    const kb = String(columns[0].get(b) ?? "");
+    return ka < kb ? -1 : ka > kb ? 1 : 0;
+  });
+  const header = columns.map((c) => c.header);
+  const rows = tableRows(columns, items);
+
+  res.statusCode = 200;
+
+  if (format === "xlsx") {
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+    await writeXlsx(res, header, rows, filename);
+  } else {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    await writeCsv(res, header, rows);
+  }
+
+  res.end();
+}
+
+/* ------------ ?format= ------------ */
+function exportFormat(value) {
+  const f = String(value || "json").toLowerCase();
+  return f === "csv" || f === "xlsx" ? f : "json";
+}
+
+module.exports = {
+  inventoryColumns,
+  sellThroughColumns,
+  deadStockColumns,
+  groupColumns,
+  csvField,
+  csvRow,
+  exportFormat,
+  sendTable
+};
@@ -0,0 +1,96 @@
+/* =====================================================================
+   Revenue, margin and inventory value
+   - Revenue = discounted line totals (after line + order discounts),
+     pro rata for the net units (refunds and cancellations out); the
+     velocity basis never changes money figures
+   - Everything is summed in shop currency (shopMoney); what customers
+     actually paid in their own currency (presentmentMoney) is kept
+     per currency alongside, never mixed into the totals
+   - COGS uses the inventory item's current unitCost; Shopify keeps no
+     cost history, so a cost change restates the whole window
+   - GMROI = gross margin, annualised over the window, ÷ average
+     inventory at cost
+===================================================================== */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* ------------ Money maps (currency → amount) ------------ */
+function addMoney(target, money) {
+  for (const [currency, amount] of Object.entries(money || {})) {
+    target[currency] = round2((target[currency] || 0) + amount);
+    if (Math.abs(target[currency]) < 0.005) delete target[currency];
+  }
+  return target;
+}
+
+function scaleMoney(money, factor) {
+  const out = {};
+  for (const [currency, amount] of Object.entries(money || {})) {
+    out[currency] = amount * factor;
+  }
+  return out;
+}
+
+/* ------------ Per line ------------ */
+/**
+ * Revenue for `qty` of this line's units, in shop currency plus the
+ * presentment currency map. Lines without a discounted total (older
+ * cache entries) fall back to the original unit price.
+ */
+function lineRevenue(li, qty) {
+  if (!qty) return { revenue: 0, presentment: {} };
+
+  if (li.discountedTotal != null && li.quantity) {
+    const share = qty / li.quantity;
+    return {
+      revenue: li.discountedTotal * share,
+      presentment: scaleMoney(li.presentmentTotals, share)
+    };
+  }
+
+  return { revenue: qty * (li.unitPrice || 0), presentment: {} };
+}
+
+/* ------------ Per SKU ------------ */
+/**
+ * @param {object} opts
+ * @param {number} opts.revenue        Shop currency, net units
+ * @param {number} opts.unitsSold      Units behind that revenue
+ * @param {number|null} opts.unitCost
+ * @param {number|null} opts.onHand    Current available
+ * @param {object[]} opts.timeline     [{ date, available }] for the window
+ */
+function financialMetrics({ revenue, unitsSold, unitCost, onHand, timeline }) {
+  const cogs = unitCost == null ? null : unitsSold * unitCost;
+  const grossMargin = cogs == null ? null : revenue - cogs;
+
+  const avgOnHand = timeline.length
+    ? timeline.reduce((sum, day) => sum + Math.max(0, day.available || 0), 0) / timeline.length
+    : null;
+  const avgInventoryValue =
+    unitCost == null || avgOnHand == null ? null : avgOnHand * unitCost;
+
+  const gmroi =
+    grossMargin != null && avgInventoryValue > 0
+      ? (grossMargin * 365) / timeline.length / avgInventoryValue
+      : null;
+
+  return {
+    revenue: round2(revenue),
+    avg_selling_price: unitsSold > 0 ? round2(revenue / unitsSold) : null,
+    unit_cost: unitCost,
+    cogs: cogs == null ? null : round2(cogs),
+    gross_margin: grossMargin == null ? null : round2(grossMargin),
+    gross_margin_pct: grossMargin != null && revenue > 0 ? grossMargin / revenue : null, // 0–1
+    stock_value: unitCost == null || onHand == null ? null : round2(Math.max(0, onHand) * unitCost),
+    avg_inventory_value: avgInventoryValue == null ? null : round2(avgInventoryValue),
+    gmroi: gmroi == null ? null : round2(gmroi)
+  };
+}
+
+module.exports = {
+  addMoney,
+  scaleMoney,
+  lineRevenue,
+  financialMetrics
+};
@@ -0,0 +1,152 @@
+/* =====================================================================
+   Demand forecasting
+   - Daily units per SKU, forecast N days ahead
+   - Yearly seasonality: store-wide month index (see lost-sales.js) is
+     divided out before fitting and multiplied back into the forecast,
+     so Q4 peaks carry over even for SKUs with one year of history
+   - Weekly seasonality + level + damped trend: additive Holt-Winters,
+     with the weekly slot keyed on day of week
+   - Stockout days are treated as missing (zero sales there is lack of
+     supply, not lack of demand)
+   - Smoothing constants picked per SKU from a small grid by one-step
+     squared error
+===================================================================== */
+
+const { addDays } = require("./dates");
+
+const ALPHAS = [0.05, 0.1, 0.2, 0.3];
+const GAMMAS = [0.05, 0.15];
+const BETA = 0.01;
+const PHI = 0.98; // trend damping
+const MIN_MONTH_INDEX = 0.1;
+const MIN_OBSERVED_DAYS = 14;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const dayOfWeek = (date) => new Date(date + "T00:00:00Z").getUTCDay();
+
+function monthFactor(monthIndex, date) {
+  if (!monthIndex) return 1;
+  return Math.max(MIN_MONTH_INDEX, monthIndex[date.slice(5, 7)] ?? 1);
+}
+
+/* ------------ Holt-Winters fit ------------ */
+/**
+ * @param {{date: string, value: number|null}[]} points  null = missing
+ * @returns {{ level, trend, season: number[], sse, observed }}
+ */
+function fitHoltWinters(points, { alpha, beta = BETA, gamma, phi = PHI }) {
+  const observed = points.filter((p) => p.value != null);
+  const firstWeeks = observed.slice(0, 28);
+
+  let level = firstWeeks.reduce((s, p) => s + p.value, 0) / (firstWeeks.length || 1);
+  let trend = 0;
+
+  // Initial weekly offsets: mean per weekday over the first four weeks
+  const season = new Array(7).fill(0);
+  const counts = new Array(7).fill(0);
+  for (const p of firstWeeks) {
+    season[dayOfWeek(p.date)] += p.value - level;
+    counts[dayOfWeek(p.date)]++;
+  }
+  for (let i = 0; i < 7; i++) season[i] = counts[i] ? season[i] / counts[i] : 0;
+
+  let sse = 0;
+
+  for (const p of points) {
+    const dow = dayOfWeek(p.date);
+
+    if (p.value == null) {
+      level += phi * trend;
+      trend *= phi;
+      continue;
+    }
+
+    const predicted = level + phi * trend + season[dow];
+    sse += (p.value - predicted) ** 2;
+
+    const prevLevel = level;
+    level = alpha * (p.value - season[dow]) + (1 - alpha) * (level + phi * trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+    season[dow] = gamma * (p.value - level) + (1 - gamma) * season[dow];
+  }
+
+  return { level, trend, season, sse, observed: observed.length };
+}
+
+/* ------------ Per-SKU forecast ------------ */
+/**
+ * @param {{date, available, sold}[]} timeline  From buildDailyTimeline
+ * @param {object} opts
+ * @param {number} opts.horizon       Days ahead
+ * @param {object} [opts.monthIndex]  From seasonalIndexByMonth
+ * @param {boolean} [opts.daily]      Include the per-day forecast
+ */
+function forecastDemand(timeline, { horizon, monthIndex = null, daily = false }) {
+  const knownStock = timeline.some((d) => d.available != null);
+  const points = timeline.map((d) => ({
+    date: d.date,
+    value:
+      knownStock && !(d.available > 0) && !d.sold
+        ? null
+        : d.sold / monthFactor(monthIndex, d.date)
+  }));
+
+  const lastDate = timeline[timeline.length - 1]?.date;
+  const observed = points.filter((p) => p.value != null);
+
+  let method;
+  let predict;
+
+  if (observed.length < MIN_OBSERVED_DAYS) {
+    // Too little history to fit: flat mean of what we have
+    const mean = observed.reduce((s, p) => s + p.value, 0) / (observed.length || 1);
+    method = "mean";
+    predict = () => mean;
+  } else {
+    let best = null;
+    for (const alpha of ALPHAS) {
+      for (const gamma of GAMMAS) {
+        const fit = fitHoltWinters(points, { alpha, gamma });
+        if (!best || fit.sse < best.fit.sse) best = { fit, alpha, gamma };
+      }
+    }
+
+    const { level, trend, season } = best.fit;
+    method = `holt_winters(alpha=${best.alpha},gamma=${best.gamma})`;
+    predict = (h, date) => {
+      // Σ φ^i for i = 1..h (damped trend)
+      const damp = PHI === 1 ? h : (PHI * (1 - PHI ** h)) / (1 - PHI);
+      return level + damp * trend + season[dayOfWeek(date)];
+    };
+  }
+
+  const series = [];
+  for (let h = 1; h <= horizon; h++) {
+    const date = addDays(lastDate, h);
+    const units = Math.max(0, predict(h, date)) * monthFactor(monthIndex, date);
+    series.push({ date, units });
+  }
+
+  const sumTo = (n) => round2(series.slice(0, n).reduce((s, d) => s + d.units, 0));
+
+  const result = {
+    method,
+    horizon_days: horizon,
+    total: sumTo(horizon)
+  };
+
+  for (const n of [30, 60, 90]) {
+    if (n <= horizon) result[`next_${n}`] = sumTo(n);
+  }
+
+  if (daily) {
+    result.daily = series.map((d) => ({ date: d.date, units: round2(d.units) }));
+  }
+
+  return result;
+}
+
+module.exports = {
+  fitHoltWinters,
+  forecastDemand
+};
@@ -0,0 +1,138 @@
+/* =====================================================================
+   Shared HTTP helpers for the API routes
+   - CORS + edge cache headers (match knife-sales-stats)
+   - BadRequestError for invalid query parameters; numberParam()
+     parses a numeric one over its env default
+   - Raw request bodies (webhook signatures, file uploads)
+   - Bearer token check for the endpoints that change state
+===================================================================== */
+
+const crypto = require("crypto");
+
+/* ------------ CORS (match sales API) ------------ */
+/* methods: what the route accepts besides OPTIONS */
+function applyCors(req, res, methods = "GET") {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", `${methods}, OPTIONS`);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return true;
+  }
+  return false;
+}
+
+/* ------------ Edge Cache (match sales API) ------------ */
+function applyEdgeCache(res) {
+  res.setHeader(
+    "Cache-Control",
+    "s-maxage=14400, stale-while-revalidate=86400"
+  );
+}
+
+/* ------------ Bad query parameters → 400 ------------ */
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BadRequestError";
+    this.type = "bad_request";
+  }
+}
+
+/* ------------ Missing stored data → 404 ------------ */
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+    this.type = "not_found";
+  }
+}
+
+/* ------------ Raw body ------------ */
+class PayloadTooLargeError extends Error {
+  constructor(limit) {
+    super(`Request body is larger than ${limit} bytes`);
+    this.name = "PayloadTooLargeError";
+    this.type = "payload_too_large";
+  }
+}
+
+/* ------------ Error → status ------------ */
+/* 400 for our own validation errors, 413 for oversized bodies, 500 for
+   everything else */
+function errorStatus(err) {
+  if (err instanceof BadRequestError) return 400;
+  if (err instanceof NotFoundError) return 404;
+  if (err instanceof PayloadTooLargeError) return 413;
+  return 500;
+}
+
+async function readRawBody(req, { limit = Infinity } = {}) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    const buf = typeof chunk === "string" ? Buffer.from(chunk) : chunk;
+    size += buf.length;
+    if (size > limit) throw new PayloadTooLargeError(limit);
+    chunks.push(buf);
+  }
+  return Buffer.concat(chunks);
+}
+
+/* ------------ Bearer token ------------ */
+/* Constant-time compare against any of the given tokens (unset ones
+   are skipped) */
+function bearerAuthorised(req, ...tokens) {
+  const match = String(req.headers?.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+
+  return tokens.filter(Boolean).some((token) => {
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+/* ------------ Numeric query params (?cover_days= over ALERT_COVER_DAYS) ------------ */
+function numberParam(value, envValue, fallback, name, { min = 0, max = Infinity } = {}) {
+  const raw = value ?? envValue;
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < min || n > max) {
+    throw new BadRequestError(
+      max === Infinity
+        ? `${name} must be a number >= ${min}`
+        : `${name} must be a number between ${min} and ${max}`
+    );
+  }
+  return n;
+}
+
+/* ------------ Shopify ids (?id=123 or the full gid) ------------ */
+function gidParam(value, type, name) {
+  const v = String(value ?? "").trim();
+  if (/^\d+$/.test(v)) return `gid://shopify/${type}/${v}`;
+  if (new RegExp(`^gid://shopify/${type}/\\d+$`).test(v)) return v;
+  throw new BadRequestError(
+    v ? `${name} must be a numeric ${type} id or its gid` : `Pass ?${name}=<${type} id>`
+  );
+}
+
+/* ------------ Boolean query flags (?daily=1, ?daily=true) ------------ */
+function queryFlag(value) {
+  return value === "1" || value === "true";
+}
+
+module.exports = {
+  applyCors,
+  applyEdgeCache,
+  BadRequestError,
+  NotFoundError,
+  errorStatus,
+  readRawBody,
+  bearerAuthorised,
+  numberParam,
+  gidParam,
+  queryFlag
+};
@@ -0,0 +1,234 @@
+/* =====================================================================
+   Inventory report builder
+   - Runs the whole pipeline behind api/inventory-report.js and returns
+     the response payload, so other endpoints can reuse the same
+     numbers without going through HTTP
+===================================================================== */
+
+const {
+  getDateRange,
+  fetchShopInfo,
+  fetchAllVariants,
+  fetchInventoryForItems
+} = require("./inventory");
+const { loadOrders, ordersSource } = require("./ledger");
+const { createCompleteness } = require("./pagination");
+const { computeMetrics } = require("./metrics");
+const { rollupLostSales } = require("./lost-sales");
+const { classificationOptions, classifyAbc } = require("./classification");
+const { localDate, windowFromDates } = require("./dates");
+const { comparisonWindow, periodDelta, windowInfo, compareMode } = require("./compare");
+const { filterItems, groupItems, groupByParam, dimensionFilters } = require("./dimensions");
+const { velocityBasis } = require("./sales-units");
+const { queryFlag } = require("./http");
+const { mergedSkus, skuRulesInfo } = require("./sku");
+const { progressStage } = require("./progress");
+
+const COMPARED_FIELDS = ["total_sold", "stockout_days", "velocity_in_stock"];
+
+/* Additive per-SKU fields summed per ?group_by= group */
+const GROUP_FIELDS = [
+  "revenue",
+  "total_sold",
+  "gross_sold",
+  "refunded",
+  "cancelled",
+  "net_sold",
+  "current_available",
+  "incoming",
+  "cogs",
+  "gross_margin",
+  "stock_value",
+  "lost_units",
+  "lost_revenue"
+];
+
+/* ------------ Query → options ------------ */
+/* Shared by api/inventory-report.js and background jobs (lib/jobs.js);
+   invalid values throw BadRequestError */
+function inventoryReportOptions(query = {}) {
+  return {
+    range: query.range,
+    start: query.start || null,
+    end: query.end || null,
+    compare: compareMode(query.compare),
+    mode: query.mode === "bulk" ? "bulk" : "paged",
+    source: ordersSource(query.source),
+    daily: queryFlag(query.daily),
+    location: query.location || null,
+    seasonality: queryFlag(query.seasonality),
+    forecast: Math.min(365, Math.max(0, Math.floor(Number(query.forecast) || 0))),
+    velocityBasis: velocityBasis(query.velocity_basis),
+    filters: dimensionFilters(query),
+    groupBy: groupByParam(query.group_by),
+    classification: classificationOptions(query)
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {string|number} [opts.range]  Months back (default 24)
+ * @param {string} [opts.start]         YYYY-MM-DD, store timezone (overrides range)
+ * @param {string} [opts.end]           YYYY-MM-DD (default today)
+ * @param {string|null} [opts.compare]  previous_period | previous_year
+ * @param {"paged"|"bulk"} [opts.mode]
+ * @param {"live"|"ledger"} [opts.source]  Where orders come from
+ * @param {boolean} [opts.daily]        Include per-day series per SKU
+ * @param {string|null} [opts.location] Location name / id filter
+ * @param {boolean} [opts.seasonality]  Month-weight lost sales
+ * @param {number} [opts.forecast]      Forecast horizon in days (0 = off)
+ * @param {"net"|"gross"} [opts.velocityBasis]  Units behind total_sold / velocity
+ * @param {object} [opts.filters]       From dimensionFilters() (vendor, collection, ...)
+ * @param {string|null} [opts.groupBy]  vendor | product_type | collection | product
+ * @param {object} [opts.classification]  From classificationOptions(): basis and
+ *                                      thresholds for the lost-sales ABC roll-up
+ */
+async function buildInventoryReport({
+  range,
+  start = null,
+  end = null,
+  compare = null,
+  mode = "paged",
+  source = "live",
+  daily = false,
+  location = null,
+  seasonality = false,
+  forecast = 0,
+  velocityBasis = "net",
+  filters = {},
+  groupBy = null,
+  classification = classificationOptions()
+} = {}) {
+  const shop = await fetchShopInfo();
+  const window = getDateRange(range, { start, end, timeZone: shop.timeZone });
+  const { startDate, endDate, months } = window;
+  const previous = compare ? comparisonWindow(window, compare) : null;
+
+  // One pull covers both windows when comparing
+  const fetchStartISO =
+    previous && previous.startISO < window.startISO ? previous.startISO : window.startISO;
+  const fetchEndISO =
+    previous && previous.endISO > window.endISO ? previous.endISO : window.endISO;
+
+  // 1) All variants (with SKUs + inventory items)
+  const completeness = createCompleteness();
+  progressStage("variants");
+  const variants = await fetchAllVariants(completeness);
+
+  // 2) Current level + inventory history per item. History runs to
+  //    today even for past windows, since the timeline walks back from
+  //    today's level.
+  const ids = [
+    ...new Set(
+      variants.map((v) => v.inventoryItem?.id).filter(Boolean)
+    ),
+  ];
+  const today = localDate(Date.now(), window.timeZone);
+  const historyEndISO = windowFromDates(today, today, window.timeZone).endISO;
+  progressStage("inventory", ids.length);
+  const inventoryByItem = await fetchInventoryForItems(ids, fetchStartISO, historyEndISO);
+
+  // 3) Orders in date range (24m default, using creation date)
+  progressStage("orders");
+  const { orders, ledger } = await loadOrders(fetchStartISO, {
+    endISO: fetchEndISO,
+    timeZone: window.timeZone,
+    source,
+    mode,
+    completeness
+  });
+
+  // 4) Compute per-SKU metrics, keeping only SKUs that match the
+  //    vendor / type / collection / tag / status filters
+  progressStage("metrics");
+  const metrics = filterItems(
+    computeMetrics(
+      variants,
+      inventoryByItem,
+      orders,
+      startDate,
+      endDate,
+      { daily, location, seasonality, forecast, velocityBasis, timeZone: window.timeZone }
+    ),
+    filters
+  );
+
+  // 4b) Same metrics for the comparison window, as per-SKU deltas
+  if (previous) {
+    progressStage("comparison");
+    const before = computeMetrics(
+      variants,
+      inventoryByItem,
+      orders,
+      previous.startDate,
+      previous.endDate,
+      { location, velocityBasis, timeZone: window.timeZone }
+    );
+    for (const [sku, item] of Object.entries(metrics)) {
+      item.comparison = periodDelta(item, before[sku] || null, COMPARED_FIELDS);
+    }
+  }
+
+  // 5) Lost-sales + money totals (shop currency). ABC grades are
+  //    computed over the SKUs in this report (after filters), by
+  //    revenue or units as lib/classification.js is configured.
+  const itemList = Object.values(metrics);
+  const [overall] = rollupLostSales(itemList, () => "all");
+  const abc = classifyAbc(
+    Object.fromEntries(
+      Object.entries(metrics).map(([sku, item]) => [
+        sku,
+        classification.basis === "units" ? item.total_sold : item.revenue
+      ])
+    ),
+    classification.abcThresholds
+  );
+  const lostSales = {
+    seasonality,
+    lost_units: overall?.lost_units || 0,
+    lost_revenue: overall?.lost_revenue || 0,
+    abc_basis: classification.basis,
+    abc_thresholds: classification.abcThresholds,
+    by_product: rollupLostSales(itemList, (item) => item.product_title),
+    by_abc_grade: rollupLostSales(itemList, (item) => abc[item.sku]?.grade)
+  };
+  const sum = (field) =>
+    Math.round(itemList.reduce((total, item) => total + (item[field] || 0), 0) * 100) / 100;
+
+  return {
+    ok: true,
+    range_months: months,
+    mode,
+    orders_source: source,
+    velocity_basis: velocityBasis,
+    ledger,
+    location,
+    start_date: startDate,
+    end_date: endDate,
+    time_zone: window.timeZone,
+    comparison: previous ? windowInfo(compare, previous) : null,
+    generated_at: new Date().toISOString(),
+    data_completeness: completeness.toJSON(),
+    currency: shop.currencyCode,
+    financials: {
+      revenue: sum("revenue"),
+      cogs: sum("cogs"),
+      gross_margin: sum("gross_margin"),
+      stock_value: sum("stock_value")
+    },
+    sku_rules: skuRulesInfo(),
+    merged_skus: mergedSkus(metrics),
+    lost_sales: lostSales,
+    forecast_horizon_days: forecast || null,
+    filters,
+    group_by: groupBy,
+    groups: groupBy ? groupItems(itemList, groupBy, GROUP_FIELDS) : null,
+    items: metrics,
+  };
+}
+
+module.exports = {
+  GROUP_FIELDS,
+  inventoryReportOptions,
+  buildInventoryReport
+};
@@ -0,0 +1,696 @@
+/* =====================================================================
+   Shopify inventory + order fetching
+   - Date window, variants, per-item levels/history, orders (paged or
+     bulk). Shared by the inventory report, the sell-through report and
+     the endpoints built on top of them (reorder suggestions, ...).
+   - Everything goes through the fetch cache (lib/cache.js), keyed on
+     query + variables, so both reports reuse the same pulls
+===================================================================== */
+
+const { shopifyGraphQL } = require("./shopify");
+const { runBulkQuery } = require("./bulk");
+const { fetchRemainingNodes, createCompleteness } = require("./pagination");
+const { cached } = require("./cache");
+const { loadLiveLevels, overlayLiveLevels } = require("./live-levels");
+const { BadRequestError } = require("./http");
+const { progressItems } = require("./progress");
+const { validTimeZone, localDate, isDate, addMonths, windowFromDates } = require("./dates");
+
+/* ------------ Date Range (?range= or ?start= / ?end=) ------------ */
+/**
+ * Whole days in the store's timezone. ?range=N months runs from the
+ * first of the month N months before the end date; explicit start / end
+ * (YYYY-MM-DD) override it. End defaults to (and is capped at) today,
+ * whose end-of-day keeps the window and its cache keys stable for the
+ * day.
+ *
+ * @param {string|number} rangeParam  Months back (default 24)
+ * @param {object} [opts]
+ * @param {string} [opts.start]     YYYY-MM-DD
+ * @param {string} [opts.end]       YYYY-MM-DD
+ * @param {string} [opts.timeZone]  IANA zone (shop.ianaTimezone)
+ */
+function getDateRange(rangeParam, { start = null, end = null, timeZone = "UTC" } = {}) {
+  const tz = validTimeZone(timeZone);
+  const today = localDate(Date.now(), tz);
+
+  for (const [name, value] of [["start", start], ["end", end]]) {
+    if (value && !isDate(value)) {
+      throw new BadRequestError(`Invalid ${name} date "${value}", expected YYYY-MM-DD`);
+    }
+  }
+
+  const endDate = end && end < today ? end : today;
+  let months = null;
+  let startDate = start;
+
+  if (!startDate) {
+    months = Number(rangeParam) || 24;
+    startDate = addMonths(endDate, -months).slice(0, 8) + "01";
+  }
+
+  if (startDate > endDate) {
+    throw new BadRequestError(`start (${startDate}) is after end (${endDate})`);
+  }
+
+  return { ...windowFromDates(startDate, endDate, tz), months };
+}
+
+/* ------------ Shop settings ------------ */
+/* Currency for the money columns, timezone for day boundaries. Never
+   throws: without it reports fall back to UTC and no currency code. */
+async function fetchShopInfo() {
+  try {
+    const data = await shopifyGraphQL(
+      `query ShopInfo { shop { currencyCode ianaTimezone } }`,
+      {},
+      { cache: "shop" }
+    );
+    return {
+      currencyCode: data?.shop?.currencyCode || null,
+      timeZone: validTimeZone(data?.shop?.ianaTimezone)
+    };
+  } catch (err) {
+    console.error("Shop info unavailable:", err.message);
+    return { currencyCode: null, timeZone: "UTC" };
+  }
+}
+
+/* ------------ Fetch All Variants + inventoryItemIds ------------ */
+/* Each variant carries its product's dimensions (vendor, type, tags,
+   collections, status) for filtering / grouping (lib/dimensions.js) */
+const PRODUCT_VARIANTS_QUERY = `
+  query ProductVariants($id: ID!, $cursor: String) {
+    product(id: $id) {
+      variants(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node {
+            id
+            title
+            sku
+            price
+            inventoryItem {
+              id
+              unitCost { amount currencyCode }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_COLLECTIONS_QUERY = `
+  query ProductCollections($id: ID!, $cursor: String) {
+    product(id: $id) {
+      collections(first: 50, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node { title }
+        }
+      }
+    }
+  }
+`;
+
+async function fetchAllVariants(completeness = createCompleteness()) {
+  const variants = [];
+  let cursor = null;
+
+  const query = `
+    query FetchVariants($cursor: String) {
+      products(first: 50, after: $cursor) {
+        pageInfo { hasNextPage }
+        edges {
+          cursor
+          node {
+            id
+            title
+            vendor
+            productType
+            tags
+            status
+            collections(first: 50) {
+              pageInfo { hasNextPage endCursor }
+              edges {
+                node { title }
+              }
+            }
+            variants(first: 100) {
+              pageInfo { hasNextPage endCursor }
+              edges {
+                node {
+                  id
+                  title
+                  sku
+                  price
+                  inventoryItem {
+                    id
+                    unitCost { amount currencyCode }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  while (true) {
+    const data = await shopifyGraphQL(query, { cursor }, { cache: "variants" });
+    const edges = data.products.edges || [];
+
+    for (const edge of edges) {
+      const product = edge.node;
+      const nodes = (product.variants.edges || []).map((vEdge) => vEdge.node);
+      completeness.scanned("variants");
+
+      const pageInfo = product.variants.pageInfo;
+      if (pageInfo?.hasNextPage) {
+        try {
+          const rest = await fetchRemainingNodes(
+            PRODUCT_VARIANTS_QUERY,
+            product.id,
+            pageInfo.endCursor,
+            (d) => d.product?.variants,
+            { cache: "variants" }
+          );
+          nodes.push(...rest.nodes);
+          completeness.paginated("variants", rest.pages);
+        } catch (err) {
+          console.error("Variant pagination error for", product.id, err);
+          completeness.truncated("variants");
+        }
+      }
+
+      const collections = (product.collections?.edges || []).map((c) => c.node.title);
+      completeness.scanned("collections");
+
+      const collectionPage = product.collections?.pageInfo;
+      if (collectionPage?.hasNextPage) {
+        try {
+          const rest = await fetchRemainingNodes(
+            PRODUCT_COLLECTIONS_QUERY,
+            product.id,
+            collectionPage.endCursor,
+            (d) => d.product?.collections,
+            { cache: "variants" }
+          );
+          collections.push(...rest.nodes.map((c) => c.title));
+          completeness.paginated("collections", rest.pages);
+        } catch (err) {
+          console.error("Collection pagination error for", product.id, err);
+          completeness.truncated("collections");
+        }
+      }
+
+      const productInfo = {
+        id: product.id,
+        title: product.title,
+        vendor: product.vendor || "",
+        productType: product.productType || "",
+        tags: product.tags || [],
+        status: product.status || "",
+        collections
+      };
+
+      for (const v of nodes) {
+        if (!v.sku) continue;              // we only care about variants with SKUs
+        if (!v.inventoryItem?.id) continue; // must have inventory item id
+        variants.push({ ...v, productTitle: product.title, product: productInfo });
+      }
+    }
+    progressItems(edges.length);
+
+    if (!data.products.pageInfo.hasNextPage) break;
+    cursor = edges[edges.length - 1].cursor;
+  }
+
+  return variants;
+}
+
+/* ------------ Fetch Inventory History per inventoryItemId ------------ */
+/* NOTE: This depends on Shopify exposing inventory history.
+   If Shopify returns an error for this field, you’ll see it in logs
+   and the timeline falls back to the current level alone.
+   Returns raw events plus the current available quantity per location,
+   which buildDailyTimeline uses as its anchor. */
+async function fetchInventoryDailyForItem(inventoryItemId, start, end) {
+  const levelsQuery = `
+    query InvLevels($id: ID!) {
+      inventoryItem(id: $id) {
+        inventoryLevels(first: 50) {
+          edges {
+            node {
+              location { id name }
+              quantities(names: ["available", "incoming"]) { name quantity }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const historyQuery = `
+    query InvDaily($id: ID!, $start: DateTime!, $end: DateTime!, $cursor: String) {
+      inventoryItem(id: $id) {
+        inventoryHistory(first: 250, after: $cursor, occurredAtMin: $start, occurredAtMax: $end) {
+          pageInfo { hasNextPage endCursor }
+          edges {
+            node {
+              occurredAt
+              availableDelta
+              availableAfterAdjustment
+              location { id }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const levels = await shopifyGraphQL(
+    levelsQuery,
+    { id: inventoryItemId },
+    { cache: "inventory" }
+  );
+  const levelEdges = levels?.inventoryItem?.inventoryLevels?.edges;
+  const locations = (levelEdges || []).map((edge) => {
+    const qty = (name) =>
+      edge.node.quantities?.find((x) => x.name === name)?.quantity || 0;
+    return {
+      locationId: edge.node.location?.id || null,
+      locationName: edge.node.location?.name || "",
+      available: qty("available"),
+      incoming: qty("incoming")
+    };
+  });
+  const currentAvailable = levelEdges
+    ? locations.reduce((sum, l) => sum + l.available, 0)
+    : null;
+
+  let events = [];
+  try {
+    let cursor = null;
+    while (true) {
+      const data = await shopifyGraphQL(
+        historyQuery,
+        { id: inventoryItemId, start, end, cursor },
+        { cache: "inventory" }
+      );
+
+      const conn = data?.inventoryItem?.inventoryHistory;
+      for (const edge of conn?.edges || []) {
+        const { location, ...event } = edge.node;
+        events.push({ ...event, locationId: location?.id || null });
+      }
+
+      if (!conn?.pageInfo?.hasNextPage) break;
+      cursor = conn.pageInfo.endCursor;
+    }
+  } catch (err) {
+    console.error("Inventory history error for", inventoryItemId, err);
+    events = [];
+  }
+
+  return { currentAvailable, locations, events };
+}
+
+/* ------------ Fetch Orders in Date Range (GraphQL) ------------ */
+/* Uses pattern similar to knife-sales-stats, which we know works.
+   Line items carry both variant id (inventory report) and SKU + unit
+   price + discounted total (sell-through, revenue), so both reports
+   share one cached pull.
+   Refund lines are matched back to their line item by id, so units
+   can be split into gross / refunded / cancelled / net
+   (lib/sales-units.js). */
+const LINE_ITEM_FIELDS = `
+  id
+  quantity
+  currentQuantity
+  sku
+  variant { id }
+  originalUnitPriceSet { shopMoney { amount } }
+  discountedTotalSet {
+    shopMoney { amount }
+    presentmentMoney { amount currencyCode }
+  }
+`;
+
+const REFUND_LINE_ITEM_FIELDS = `
+  quantity
+  lineItem { id }
+`;
+
+const ORDER_LINE_ITEMS_QUERY = `
+  query OrderLineItems($id: ID!, $cursor: String) {
+    order(id: $id) {
+      lineItems(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node {
+            ${LINE_ITEM_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+const REFUND_FIELDS = `
+  refunds(first: 50) {
+    id
+    refundLineItems(first: 100) {
+      edges {
+        node {
+          ${REFUND_LINE_ITEM_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
+function toLineItem(li) {
+  const price = li.originalUnitPriceSet?.shopMoney?.amount;
+  const total = li.discountedTotalSet?.shopMoney?.amount;
+  const presentment = li.discountedTotalSet?.presentmentMoney;
+  return {
+    id: li.id || null,
+    variantId: li.variant?.id || null,
+    sku: li.sku ? String(li.sku).trim() : null,
+    quantity: li.quantity || 0,
+    currentQuantity: li.currentQuantity ?? li.quantity ?? 0,
+    unitPrice: price != null ? Number(price) : null,
+    // After discounts, all units as ordered; shop currency + what the
+    // customer was charged in theirs
+    discountedTotal: total != null ? Number(total) : null,
+    presentmentTotals: presentment
+      ? { [presentment.currencyCode]: Number(presentment.amount) }
+      : {}
+  };
+}
+
+function refundLinesOf(node) {
+  return (node.refunds || []).flatMap((r) =>
+    (r.refundLineItems?.edges || []).map((e) => e.node)
+  );
+}
+
+/* Sets refundedQuantity on each line item from the order's refund lines */
+function withRefunds(order, refundLines) {
+  const refunded = {};
+  for (const rl of refundLines) {
+    const id = rl.lineItem?.id;
+    if (id) refunded[id] = (refunded[id] || 0) + (rl.quantity || 0);
+  }
+
+  return {
+    ...order,
+    lineItems: order.lineItems.map((li) => ({
+      ...li,
+      refundedQuantity: (li.id && refunded[li.id]) || 0
+    }))
+  };
+}
+
+function toOrder(node, lineItems, refundLines = refundLinesOf(node)) {
+  return withRefunds(
+    {
+      id: node.id,
+      createdAt: node.createdAt,
+      updatedAt: node.updatedAt,
+      cancelledAt: node.cancelledAt || null,
+      lineItems
+    },
+    refundLines
+  );
+}
+
+/* created_at search for [startISO, endISO] (end optional) */
+function createdAtSearch(startISO, endISO) {
+  return endISO
+    ? `created_at:>=${startISO} created_at:<=${endISO}`
+    : `created_at:>=${startISO}`;
+}
+
+/**
+ * @param {string} startISO   created_at lower bound (ignored if search set)
+ * @param {object} [completeness]
+ * @param {object} [opts]
+ * @param {string} [opts.endISO]   created_at upper bound
+ * @param {string} [opts.search]   Full orders search string instead
+ * @param {string} [opts.sortKey]  CREATED_AT (default) | UPDATED_AT
+ * @param {string|null} [opts.cache]  Cache type; null = always fresh
+ */
+async function fetchOrders(
+  startISO,
+  completeness = createCompleteness(),
+  { endISO = null, search = null, sortKey = "CREATED_AT", cache = "orders" } = {}
+) {
+  const results = [];
+  let cursor = null;
+
+  const ORDERS_QUERY = `
+    query Orders($cursor: String, $query: String!) {
+      orders(
+        first: 100
+        after: $cursor
+        query: $query
+        sortKey: ${sortKey}
+      ) {
+        pageInfo { hasNextPage }
+        edges {
+          cursor
+          node {
+            id
+            createdAt
+            updatedAt
+            cancelledAt
+            ${REFUND_FIELDS}
+            lineItems(first: 100) {
+              pageInfo { hasNextPage endCursor }
+              edges {
+                node {
+                  ${LINE_ITEM_FIELDS}
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  // Order creation date based window - per your preference
+  const queryString = search || createdAtSearch(startISO, endISO);
+
+  while (true) {
+    const data = await shopifyGraphQL(
+      ORDERS_QUERY,
+      { cursor, query: queryString },
+      { cache }
+    );
+
+    const edges = data.orders.edges || [];
+
+    for (const edge of edges) {
+      const order = edge.node;
+      const nodes = (order.lineItems.edges || []).map(liEdge => liEdge.node);
+      completeness.scanned("lineItems");
+
+      const pageInfo = order.lineItems.pageInfo;
+      if (pageInfo?.hasNextPage) {
+        try {
+          const rest = await fetchRemainingNodes(
+            ORDER_LINE_ITEMS_QUERY,
+            order.id,
+            pageInfo.endCursor,
+            (d) => d.order?.lineItems,
+            { cache }
+          );
+          nodes.push(...rest.nodes);
+          completeness.paginated("lineItems", rest.pages);
+        } catch (err) {
+          console.error("Line item pagination error for", order.id, err);
+          completeness.truncated("lineItems");
+        }
+      }
+
+      results.push(toOrder(order, nodes.map(toLineItem)));
+    }
+    progressItems(edges.length);
+
+    if (!data.orders.pageInfo.hasNextPage) break;
+    cursor = edges[edges.length - 1].cursor;
+  }
+
+  return results;
+}
+
+/* ------------ Fetch a single order ------------ */
+/* Fresh (uncached) read, for webhook events that only carry an order id */
+async function fetchOrderById(id) {
+  const query = `
+    query OneOrder($id: ID!) {
+      order(id: $id) {
+        id
+        createdAt
+        updatedAt
+        cancelledAt
+        ${REFUND_FIELDS}
+        lineItems(first: 100) {
+          pageInfo { hasNextPage endCursor }
+          edges {
+            node {
+              ${LINE_ITEM_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(query, { id });
+  const order = data.order;
+  if (!order) return null;
+
+  const nodes = (order.lineItems.edges || []).map((e) => e.node);
+  const pageInfo = order.lineItems.pageInfo;
+  if (pageInfo?.hasNextPage) {
+    const rest = await fetchRemainingNodes(
+      ORDER_LINE_ITEMS_QUERY,
+      order.id,
+      pageInfo.endCursor,
+      (d) => d.order?.lineItems
+    );
+    nodes.push(...rest.nodes);
+  }
+
+  return toOrder(order, nodes.map(toLineItem));
+}
+
+/* ------------ Fetch Orders via Bulk Operation ------------ */
+/* Same output shape as fetchOrders (see assembleBulkOrders). The
+   assembled result is cached whole, since a bulk run can't be resumed
+   page by page. */
+async function fetchOrdersBulk(startISO, { endISO = null, search = null } = {}) {
+  const query = `
+    {
+      orders(query: ${JSON.stringify(search || createdAtSearch(startISO, endISO))}, sortKey: CREATED_AT) {
+        edges {
+          node {
+            id
+            createdAt
+            updatedAt
+            cancelledAt
+            refunds {
+              id
+              refundLineItems {
+                edges {
+                  node {
+                    ${REFUND_LINE_ITEM_FIELDS}
+                  }
+                }
+              }
+            }
+            lineItems {
+              edges {
+                node {
+                  ${LINE_ITEM_FIELDS}
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  return cached("orders", ["bulk", query], () => assembleBulkOrders(runBulkQuery(query)));
+}
+
+/**
+ * Bulk JSONL rows (runBulkQuery / readJsonl) → orders, same shape as
+ * fetchOrders. Line items arrive as separate lines after their order,
+ * linked by __parentId; refund lines point at their refund, which sits
+ * inline on the order.
+ *
+ * @param {AsyncIterable<object>} rows
+ * @returns {Promise<object[]>}
+ */
+async function assembleBulkOrders(rows) {
+  const results = [];
+  const byId = {};
+  const orderIdByRefund = {};
+  const refundLines = {}; // order id → refund line rows
+
+  for await (const row of rows) {
+    if (!row.__parentId) {
+      const order = toOrder(row, [], []);
+      byId[row.id] = order;
+      results.push(order);
+      progressItems();
+      for (const r of row.refunds || []) orderIdByRefund[r.id] = row.id;
+      continue;
+    }
+
+    // Refund line: parent is the refund, not the order
+    if (row.lineItem) {
+      const orderId = orderIdByRefund[row.__parentId];
+      if (orderId) (refundLines[orderId] = refundLines[orderId] || []).push(row);
+      continue;
+    }
+
+    const order = byId[row.__parentId];
+    if (!order) continue;
+
+    order.lineItems.push(toLineItem(row));
+  }
+
+  return results.map((o) => withRefunds(o, refundLines[o.id] || []));
+}
+
+/* ------------ Levels + history for many items ------------ */
+/* Webhook-fed levels (lib/live-levels.js) win over pulled ones */
+async function fetchInventoryForItems(ids, startISO, endISO) {
+  const inventoryByItem = {};
+  const live = await loadLiveLevels().catch((err) => {
+    console.error("Live levels unavailable:", err.message);
+    return { items: {} };
+  });
+
+  // Batch in chunks (avoid hammering API)
+  for (let i = 0; i < ids.length; i += 10) {
+    const batch = ids.slice(i, i + 10);
+    await Promise.all(
+      batch.map(async (id) => {
+        try {
+          inventoryByItem[id] = overlayLiveLevels(
+            await fetchInventoryDailyForItem(id, startISO, endISO),
+            live.items[id]
+          );
+        } catch (err) {
+          console.error("Inventory level error for", id, err);
+          inventoryByItem[id] = { currentAvailable: null, locations: [], events: [] }; // fallback → no data
+        }
+      })
+    );
+    progressItems(batch.length);
+  }
+
+  return inventoryByItem;
+}
+
+module.exports = {
+  getDateRange,
+  fetchShopInfo,
+  fetchAllVariants,
+  fetchInventoryDailyForItem,
+  fetchInventoryForItems,
+  fetchOrders,
+  fetchOrderById,
+  fetchOrdersBulk,
+  assembleBulkOrders
+};
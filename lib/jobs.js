@@ -0,0 +1,332 @@
+/* =====================================================================
+   Background report jobs
+   - createJob(type, params) validates params like the matching
+     endpoint would, stores a queued job and hands it to the queue;
+     getJob(id) returns its status, progress and (once done) result
+   - Types: inventory-report, sell-through, dead-stock,
+     reorder-suggestions; params are the endpoint's query parameters
+     ({ "range": "36", "mode": "bulk" })
+   - Progress (lib/progress.js): stage, Shopify pages fetched, items
+     processed in the stage (of items_total where known)
+   - Stores (JOBS_STORE):
+       fs      one JSON file per job under REPORT_DATA_DIR/jobs (default)
+       memory  per process
+   - Queue (JOBS_QUEUE): local, in-process, JOBS_CONCURRENCY at a time
+     (default 1). It needs the process to outlive the request, i.e. a
+     long-running server (vercel dev, node) or a platform that keeps
+     working after the response; setJobQueue() plugs in anything else
+     with the same enqueue(id, task) shape
+   - A job whose heartbeat is older than JOBS_STALE_MINUTES (default 15)
+     reads as failed (its worker is gone); finished jobs are pruned
+     after JOBS_RETENTION_HOURS (default 24)
+===================================================================== */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { dataPath, readJson, writeJson } = require("./store");
+const { BadRequestError, queryFlag } = require("./http");
+const { createProgress, withProgress } = require("./progress");
+const { inventoryReportOptions, buildInventoryReport } = require("./inventory-report");
+const { sellThroughOptions, buildSellThroughReport } = require("./sell-through");
+const { deadStockOptions, buildDeadStockReport } = require("./dead-stock");
+const { reorderSuggestionsOptions, buildReorderSuggestions } = require("./reorder-suggestions");
+const { saveSnapshotSafely } = require("./snapshots");
+
+const MINUTE_MS = 60 * 1000;
+
+/* ------------ Job types ------------ */
+/* options: query params → builder options (throws BadRequestError),
+   run: builder */
+const JOB_TYPES = {
+  "inventory-report": {
+    options: (query) => ({ ...inventoryReportOptions(query), snapshot: queryFlag(query.snapshot) }),
+    // ?snapshot=1 as in api/inventory-report.js
+    async run({ snapshot, ...opts }) {
+      const report = await buildInventoryReport(opts);
+      report.snapshot = snapshot ? await saveSnapshotSafely(report, "job") : null;
+      return report;
+    }
+  },
+  "sell-through": {
+    options: sellThroughOptions,
+    run: buildSellThroughReport
+  },
+  "dead-stock": {
+    options: deadStockOptions,
+    run: buildDeadStockReport
+  },
+  "reorder-suggestions": {
+    options: reorderSuggestionsOptions,
+    run: buildReorderSuggestions
+  }
+};
+
+function staleMs() {
+  const n = Number(process.env.JOBS_STALE_MINUTES);
+  return (Number.isFinite(n) && n > 0 ? n : 15) * MINUTE_MS;
+}
+
+function retentionMs() {
+  const n = Number(process.env.JOBS_RETENTION_HOURS);
+  return (Number.isFinite(n) && n > 0 ? n : 24) * 60 * MINUTE_MS;
+}
+
+/* JSON bodies may carry numbers / booleans; the option parsers expect
+   query strings ("1", "true", "36") */
+function queryParams(params) {
+  if (params == null) return {};
+  if (typeof params !== "object" || Array.isArray(params)) {
+    throw new BadRequestError("params must be an object of query parameters");
+  }
+
+  const out = {};
+  for (const [key, value] of Object.entries(params)) {
+    if (value == null) continue;
+    out[key] = Array.isArray(value) ? value.map(String) : String(value);
+  }
+  return out;
+}
+
+/* ------------ Stores ------------ */
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  return {
+    name: "memory",
+    async get(id) {
+      return jobs.get(id) || null;
+    },
+    async save(job) {
+      jobs.set(job.id, job);
+    },
+    async prune(before) {
+      for (const [id, job] of jobs) {
+        if (job.finished_at && Date.parse(job.finished_at) < before) jobs.delete(id);
+      }
+    }
+  };
+}
+
+function createFileJobStore(dir = dataPath("jobs")) {
+  const file = (id) => path.join(dir, `${id}.json`);
+
+  return {
+    name: "fs",
+    async get(id) {
+      try {
+        return await readJson(file(id));
+      } catch {
+        return null; // half-written or corrupt → unknown job
+      }
+    },
+    async save(job) {
+      await writeJson(file(job.id), job);
+    },
+    async prune(before) {
+      const names = await fs.readdir(dir).catch(() => []);
+      for (const name of names) {
+        if (!name.endsWith(".json")) continue;
+        const full = path.join(dir, name);
+        const stat = await fs.stat(full).catch(() => null);
+        if (stat && stat.mtimeMs < before) await fs.rm(full, { force: true });
+      }
+    }
+  };
+}
+
+/* ------------ Queues ------------ */
+/* enqueue(id, task): task() runs the job and never rejects */
+function createLocalQueue({ concurrency = 1 } = {}) {
+  const pending = [];
+  let running = 0;
+
+  function next() {
+    while (running < concurrency && pending.length) {
+      const task = pending.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .catch((err) => console.error("Job queue error:", err))
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  }
+
+  return {
+    name: "local",
+    async enqueue(id, task) {
+      pending.push(task);
+      next();
+    },
+    get size() {
+      return pending.length + running;
+    }
+  };
+}
+
+/* ------------ Active backends ------------ */
+let activeStore = null;
+let activeQueue = null;
+
+function createJobStoreFromEnv(env = process.env) {
+  switch ((env.JOBS_STORE || "fs").toLowerCase()) {
+    case "memory":
+      return createMemoryJobStore();
+    case "fs":
+    case "file":
+      return createFileJobStore();
+    default:
+      console.warn(`Unknown JOBS_STORE ${env.JOBS_STORE}; using fs`);
+      return createFileJobStore();
+  }
+}
+
+function createJobQueueFromEnv(env = process.env) {
+  const concurrency = Math.max(1, Math.floor(Number(env.JOBS_CONCURRENCY) || 1));
+  const name = (env.JOBS_QUEUE || "local").toLowerCase();
+  if (name !== "local") {
+    console.warn(`Unknown JOBS_QUEUE ${env.JOBS_QUEUE}; using local`);
+  }
+  return createLocalQueue({ concurrency });
+}
+
+function getJobStore() {
+  if (!activeStore) activeStore = createJobStoreFromEnv();
+  return activeStore;
+}
+
+function getJobQueue() {
+  if (!activeQueue) activeQueue = createJobQueueFromEnv();
+  return activeQueue;
+}
+
+/* For tests / scripts, or another queue (a worker process, ...) */
+function setJobStore(store) {
+  activeStore = store;
+}
+
+function setJobQueue(queue) {
+  activeQueue = queue;
+}
+
+/* ------------ Run ------------ */
+async function runJob(id) {
+  const store = getJobStore();
+  const job = await store.get(id);
+  if (!job || job.status !== "queued") return;
+
+  const type = JOB_TYPES[job.type];
+
+  // Progress writes are chained so an older snapshot never lands last
+  let writes = Promise.resolve();
+  const save = () => {
+    job.heartbeat_at = new Date().toISOString();
+    const copy = { ...job };
+    writes = writes.then(() => store.save(copy)).catch((err) => {
+      console.error("Job save error:", err.message);
+    });
+    return writes;
+  };
+
+  const tracker = createProgress((progress) => {
+    job.progress = progress;
+    save();
+  });
+
+  job.status = "running";
+  job.started_at = new Date().toISOString();
+  await save();
+
+  try {
+    job.result = await withProgress(tracker, () => type.run(type.options(job.params)));
+    job.status = "succeeded";
+  } catch (err) {
+    console.error(`job ${job.type} ${id} error:`, err);
+    job.status = "failed";
+    job.error = { message: err.message || String(err), type: err.type || null };
+  }
+
+  job.progress = tracker.snapshot();
+  job.finished_at = new Date().toISOString();
+  await save();
+}
+
+/* ------------ Public API ------------ */
+/**
+ * @param {string} type     Key of JOB_TYPES
+ * @param {object} [params] The endpoint's query parameters
+ * @returns {Promise<object>} The queued job (no result yet)
+ */
+async function createJob(type, params = {}) {
+  if (!JOB_TYPES[type]) {
+    throw new BadRequestError(`type must be one of ${Object.keys(JOB_TYPES).join(", ")}`);
+  }
+
+  const query = queryParams(params);
+  JOB_TYPES[type].options(query); // bad params → 400 now, not a failed job later
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params: query,
+    status: "queued",
+    created_at: now,
+    started_at: null,
+    finished_at: null,
+    heartbeat_at: now,
+    progress: null,
+    result: null,
+    error: null
+  };
+
+  const store = getJobStore();
+  await store.prune(Date.now() - retentionMs()).catch((err) => {
+    console.error("Job prune error:", err.message);
+  });
+  await store.save(job);
+  await getJobQueue().enqueue(job.id, () => runJob(job.id));
+
+  return job;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>} null when unknown (or pruned)
+ */
+async function getJob(id) {
+  if (!/^[0-9a-f-]{36}$/i.test(String(id || ""))) return null;
+
+  const job = await getJobStore().get(id);
+  if (!job) return null;
+
+  const unfinished = job.status === "queued" || job.status === "running";
+  if (unfinished && Date.now() - Date.parse(job.heartbeat_at) > staleMs()) {
+    return {
+      ...job,
+      status: "failed",
+      error: {
+        message: `No progress since ${job.heartbeat_at}; the worker running this job has stopped`,
+        type: "stale"
+      }
+    };
+  }
+
+  return job;
+}
+
+module.exports = {
+  JOB_TYPES,
+  createJob,
+  getJob,
+  getJobStore,
+  getJobQueue,
+  setJobStore,
+  setJobQueue,
+  createMemoryJobStore,
+  createFileJobStore,
+  createLocalQueue
+};
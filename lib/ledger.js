@@ -0,0 +1,348 @@
+/* =====================================================================
+   Local sales ledger (incremental order sync)
+   - Persists per-day, per-variant/SKU units + revenue to a JSON file
+     (REPORT_DATA_DIR/sales-ledger.json, see lib/store.js)
+   - First sync backfills orders created since the requested start;
+     later syncs only fetch orders with updated_at >= the watermark
+   - Each order's contribution is remembered, so an edited, refunded
+     or cancelled order is swapped out (old lines subtracted, new lines
+     added)
+   - Units are kept as gross / refunded / cancelled / net
+     (lib/sales-units.js); revenue is gross units × unit price, sales
+     the discounted total for those units (shop currency, plus a
+     presentment currency map, see lib/financials.js)
+   - Days are store-timezone days; the zone is stored with the ledger
+     and a different shop zone triggers a rebuild
+   - Webhooks (api/webhooks.js) apply orders between syncs
+   - Reports read ledger days back as synthetic orders per day, in
+     the same shape as fetchOrders(), so computeMetrics is unchanged
+===================================================================== */
+
+const { fetchOrders, fetchOrdersBulk } = require("./inventory");
+const { createCompleteness } = require("./pagination");
+const { dataPath, readJson, writeJson, withLock } = require("./store");
+const { lineUnits } = require("./sales-units");
+const { addMoney, scaleMoney, lineRevenue } = require("./financials");
+const { localDate, zonedTimeToUtc } = require("./dates");
+
+const LEDGER_FILE = dataPath("sales-ledger.json");
+// 2: gross / refunded / cancelled / net units, 3: discounted sales,
+// 4: store-timezone days
+const LEDGER_VERSION = 4;
+
+function emptyLedger(timeZone = "UTC") {
+  return {
+    version: LEDGER_VERSION,
+    time_zone: timeZone, // zone the daily keys are in
+    coverage_start: null, // earliest created_at we have backfilled from
+    watermark: null, // latest updated_at we have applied
+    last_sync_at: null,
+    orders: {}, // id → { date, cancelled, lines: [[key, variantId, sku, gross, refunded, cancelled, net, revenue, sales, presentment]] }
+    daily: {} // date → key → { variantId, sku, gross, refunded, cancelled, net, revenue, sales, presentment }
+  };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.timeZone]  Expected zone; a ledger bucketed in
+ *   another zone is discarded (and rebuilt by the next sync)
+ */
+async function loadLedger({ timeZone = null } = {}) {
+  const ledger = await readJson(LEDGER_FILE);
+  if (!ledger || ledger.version !== LEDGER_VERSION) return emptyLedger(timeZone || "UTC");
+  if (timeZone && ledger.time_zone !== timeZone) {
+    console.warn(`Ledger is in ${ledger.time_zone}, store is in ${timeZone}; rebuilding`);
+    return emptyLedger(timeZone);
+  }
+  return ledger;
+}
+
+/* ------------ Apply one order ------------ */
+function lineKey(li) {
+  return li.variantId || `sku:${li.sku}`;
+}
+
+function addContribution(ledger, record, sign) {
+  for (const [key, variantId, sku, gross, refunded, cancelled, net, revenue, sales, presentment] of record.lines) {
+    const day = (ledger.daily[record.date] = ledger.daily[record.date] || {});
+    const entry = (day[key] = day[key] || {
+      variantId,
+      sku,
+      gross: 0,
+      refunded: 0,
+      cancelled: 0,
+      net: 0,
+      revenue: 0,
+      sales: 0,
+      presentment: {}
+    });
+
+    entry.gross += sign * gross;
+    entry.refunded += sign * refunded;
+    entry.cancelled += sign * cancelled;
+    entry.net += sign * net;
+    entry.revenue = Math.round((entry.revenue + sign * revenue) * 100) / 100;
+    entry.sales = Math.round((entry.sales + sign * sales) * 100) / 100;
+    addMoney(entry.presentment, scaleMoney(presentment, sign));
+
+    if (entry.gross === 0 && Math.abs(entry.revenue) < 0.005) delete day[key];
+  }
+
+  if (ledger.daily[record.date] && !Object.keys(ledger.daily[record.date]).length) {
+    delete ledger.daily[record.date];
+  }
+}
+
+/**
+ * Replaces whatever this order contributed before with its current
+ * state. Safe to call repeatedly with the same order.
+ *
+ * Webhook deliveries pass advanceWatermark: false — an out-of-band
+ * update must not move the watermark past changes the next sync still
+ * has to fetch.
+ */
+function applyOrder(ledger, order, { advanceWatermark = true } = {}) {
+  const prev = ledger.orders[order.id];
+  if (prev) addContribution(ledger, prev, -1);
+
+  const record = {
+    date: localDate(order.createdAt, ledger.time_zone),
+    cancelled: Boolean(order.cancelledAt),
+    lines: []
+  };
+
+  for (const li of order.lineItems) {
+    if (!li.variantId && !li.sku) continue;
+    const u = lineUnits(order, li);
+    if (!u.gross) continue;
+    const sold = lineRevenue(li, u.gross);
+    record.lines.push([
+      lineKey(li),
+      li.variantId,
+      li.sku,
+      u.gross,
+      u.refunded,
+      u.cancelled,
+      u.net,
+      u.gross * (li.unitPrice || 0),
+      sold.revenue,
+      sold.presentment
+    ]);
+  }
+
+  addContribution(ledger, record, 1);
+  ledger.orders[order.id] = record;
+
+  if (
+    advanceWatermark &&
+    order.updatedAt &&
+    (!ledger.watermark || order.updatedAt > ledger.watermark)
+  ) {
+    ledger.watermark = order.updatedAt;
+  }
+}
+
+/* ------------ Sync ------------ */
+/**
+ * Brings the ledger up to date and makes sure it covers startISO.
+ *
+ * @param {string} startISO
+ * @param {object} [opts]
+ * @param {"paged"|"bulk"} [opts.mode]  How to do backfills
+ * @param {string} [opts.timeZone]       Store timezone for the daily keys
+ * @param {object} [opts.completeness]   Pagination tracker to report into
+ * @returns {Promise<{ ledger, stats, completeness }>}
+ */
+async function syncLedger(
+  startISO,
+  { mode = "paged", timeZone = "UTC", completeness = createCompleteness() } = {}
+) {
+  return withLock(LEDGER_FILE, async () => {
+    const ledger = await loadLedger({ timeZone });
+    const syncStartedAt = new Date().toISOString();
+    const stats = { backfilled: 0, updated: 0 };
+
+    // 1) Backfill anything older than what we already hold
+    if (!ledger.coverage_start || startISO < ledger.coverage_start) {
+      const search = ledger.coverage_start
+        ? `created_at:>=${startISO} created_at:<${ledger.coverage_start}`
+        : `created_at:>=${startISO}`;
+
+      const orders =
+        mode === "bulk"
+          ? await fetchOrdersBulk(startISO, { search })
+          : await fetchOrders(startISO, completeness, { search, cache: null });
+
+      orders.forEach((o) => applyOrder(ledger, o));
+      stats.backfilled = orders.length;
+      ledger.coverage_start = startISO;
+
+      // A backfill that found nothing leaves no updated_at to go on;
+      // without a watermark the incremental step below would never run
+      if (!ledger.watermark) ledger.watermark = syncStartedAt;
+    }
+
+    // 2) Everything touched since the last sync (edits, refunds,
+    //    cancellations, new orders). >= so an order updated in the same second as the
+    //    watermark isn't skipped; re-applying is harmless.
+    if (ledger.watermark) {
+      const orders = await fetchOrders(null, completeness, {
+        search: `updated_at:>=${ledger.watermark}`,
+        sortKey: "UPDATED_AT",
+        cache: null
+      });
+
+      for (const o of orders) {
+        // Orders from before our coverage window don't belong here
+        if (o.createdAt < ledger.coverage_start) continue;
+        applyOrder(ledger, o);
+      }
+      stats.updated = orders.length;
+    }
+
+    ledger.last_sync_at = new Date().toISOString();
+    await writeJson(LEDGER_FILE, ledger);
+
+    return { ledger, stats, completeness };
+  });
+}
+
+/* ------------ Out-of-band updates (webhooks) ------------ */
+/**
+ * Applies orders pushed to us (webhooks) under the ledger lock. Pass
+ * the store's timezone as syncLedger gets it, so a ledger started here
+ * buckets days the way the next sync expects instead of in UTC.
+ */
+async function applyOrdersToLedger(orders, { timeZone = null } = {}) {
+  return withLock(LEDGER_FILE, async () => {
+    const ledger = await loadLedger({ timeZone });
+    orders.forEach((o) => applyOrder(ledger, o, { advanceWatermark: false }));
+    await writeJson(LEDGER_FILE, ledger);
+    return ledger;
+  });
+}
+
+/* ------------ Read ------------ */
+/**
+ * Synthetic orders per day from startDate (to endDate, if given),
+ * shaped like fetchOrders() output: one for live lines (refunds as
+ * refundedQuantity) and, where needed, one cancelled order carrying the
+ * cancelled units, so lineUnits() splits them back out the same way.
+ */
+function ledgerOrders(ledger, startDate, endDate = null) {
+  const orders = [];
+  const inRange = (d) => d >= startDate && (!endDate || d <= endDate);
+
+  for (const date of Object.keys(ledger.daily).filter(inRange).sort()) {
+    const entries = Object.values(ledger.daily[date]);
+    // Midday, so the order falls on this day in the store's zone
+    const createdAt = zonedTimeToUtc(date, "12:00:00", ledger.time_zone).toISOString();
+    const line = (e, quantity, refunded) => ({
+      variantId: e.variantId,
+      sku: e.sku,
+      quantity,
+      currentQuantity: quantity - refunded,
+      refundedQuantity: refunded,
+      unitPrice: e.gross ? e.revenue / e.gross : null,
+      discountedTotal: e.gross ? (e.sales * quantity) / e.gross : null,
+      presentmentTotals: e.gross ? scaleMoney(e.presentment, quantity / e.gross) : {}
+    });
+
+    orders.push({
+      id: `ledger:${date}`,
+      createdAt,
+      cancelledAt: null,
+      lineItems: entries
+        .filter((e) => e.gross - e.cancelled > 0)
+        .map((e) => line(e, e.gross - e.cancelled, e.refunded))
+    });
+
+    const cancelled = entries.filter((e) => e.cancelled > 0);
+    if (cancelled.length) {
+      orders.push({
+        id: `ledger:${date}:cancelled`,
+        createdAt,
+        cancelledAt: createdAt,
+        lineItems: cancelled.map((e) => line(e, e.cancelled, 0))
+      });
+    }
+  }
+
+  return orders;
+}
+
+function ledgerInfo(ledger, stats) {
+  return {
+    time_zone: ledger.time_zone,
+    coverage_start: ledger.coverage_start,
+    watermark: ledger.watermark,
+    last_sync_at: ledger.last_sync_at,
+    order_count: Object.keys(ledger.orders).length,
+    synced: stats
+  };
+}
+
+/**
+ * Sync, then return orders since startISO (up to endISO) from the ledger.
+ */
+async function fetchOrdersFromLedger(
+  startISO,
+  { mode, endISO = null, timeZone = "UTC", completeness = createCompleteness() } = {}
+) {
+  const { ledger, stats } = await syncLedger(startISO, { mode, timeZone, completeness });
+  return {
+    orders: ledgerOrders(
+      ledger,
+      localDate(startISO, timeZone),
+      endISO && localDate(endISO, timeZone)
+    ),
+    info: ledgerInfo(ledger, stats),
+    completeness
+  };
+}
+
+/* ------------ Live vs ledger ------------ */
+/* ?source=ledger | live; ORDERS_SOURCE sets the default */
+function ordersSource(value) {
+  const v = String(value || process.env.ORDERS_SOURCE || "live").toLowerCase();
+  return v === "ledger" ? "ledger" : "live";
+}
+
+/**
+ * Orders from startISO (to endISO, if given) from Shopify directly
+ * (paged or bulk) or from the synced ledger. `ledger` is null for live
+ * pulls. timeZone is the store's; the ledger keys its days on it.
+ */
+async function loadOrders(
+  startISO,
+  { endISO = null, timeZone = "UTC", source = "live", mode = "paged", completeness }
+) {
+  if (source === "ledger") {
+    // Ledger sync pagination counts toward the report's data_completeness
+    const { orders, info } = await fetchOrdersFromLedger(startISO, {
+      mode,
+      endISO,
+      timeZone,
+      completeness
+    });
+    return { orders, ledger: info };
+  }
+
+  const orders =
+    mode === "bulk"
+      ? await fetchOrdersBulk(startISO, { endISO })
+      : await fetchOrders(startISO, completeness, { endISO });
+  return { orders, ledger: null };
+}
+
+module.exports = {
+  applyOrder,
+  emptyLedger,
+  loadLedger,
+  syncLedger,
+  applyOrdersToLedger,
+  ledgerOrders,
+  fetchOrdersFromLedger,
+  ordersSource,
+  loadOrders
+};
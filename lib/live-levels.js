@@ -0,0 +1,117 @@
+/* =====================================================================
+   Live inventory levels (from inventory_levels/update webhooks)
+   - Latest available quantity per inventory item + location, persisted
+     to REPORT_DATA_DIR/live-levels.json
+   - out_of_stock_since per item: set the moment the total across the
+     locations webhooks have reported drops to 0 or below, cleared when
+     it comes back
+   - The inventory report overlays these on the (possibly cached)
+     levels it pulled, so stockouts show up the same day. Out of stock
+     is decided on the overlaid total across every location, not just
+     the ones webhooks have seen.
+   - A live value only wins while it's newer than anything the pull
+     could hold: entries older than the inventory cache TTL
+     (REPORT_CACHE_TTL_INVENTORY, see lib/cache.js) are ignored, and
+     all of them are with REPORT_CACHE=off
+===================================================================== */
+
+const { dataPath, readJson, writeJson, withLock } = require("./store");
+const { getCache, ttlFor } = require("./cache");
+
+const LEVELS_FILE = dataPath("live-levels.json");
+
+function emptyLevels() {
+  return { items: {} }; // itemId → { locations: { locationId: { available, updated_at, received_at } }, out_of_stock_since }
+}
+
+/* Pulled levels are at most this old, so older live values lose */
+function liveLevelsMaxAgeMs() {
+  return getCache().name === "off" ? 0 : ttlFor("inventory") * 1000;
+}
+
+async function loadLiveLevels() {
+  return (await readJson(LEVELS_FILE)) || emptyLevels();
+}
+
+/**
+ * @param {object} update { inventoryItemId, locationId, available, updatedAt }
+ */
+async function recordLevel({ inventoryItemId, locationId, available, updatedAt }) {
+  return withLock(LEVELS_FILE, async () => {
+    const state = await loadLiveLevels();
+    const item = (state.items[inventoryItemId] = state.items[inventoryItemId] || {
+      locations: {},
+      out_of_stock_since: null
+    });
+
+    // Deliveries can arrive out of order; keep the newest per location
+    const prev = item.locations[locationId];
+    if (prev && prev.updated_at && updatedAt && prev.updated_at > updatedAt) return item;
+
+    item.locations[locationId] = {
+      available,
+      updated_at: updatedAt || null,
+      received_at: new Date().toISOString()
+    };
+
+    const total = Object.values(item.locations).reduce((sum, l) => sum + (l.available || 0), 0);
+    if (total <= 0) {
+      item.out_of_stock_since = item.out_of_stock_since || updatedAt || new Date().toISOString();
+    } else {
+      item.out_of_stock_since = null;
+    }
+
+    await writeJson(LEVELS_FILE, state);
+    return item;
+  });
+}
+
+/**
+ * Overwrites location quantities in fetchInventoryDailyForItem() output
+ * with webhook values that are still fresh. Returns the (new) inventory
+ * record.
+ *
+ * @param {object} inv
+ * @param {object} [live]  loadLiveLevels().items[id]
+ * @param {object} [opts]
+ * @param {number} [opts.maxAgeMs]  Live values older than this are ignored
+ * @param {number} [opts.now]
+ */
+function overlayLiveLevels(inv, live, { maxAgeMs = liveLevelsMaxAgeMs(), now = Date.now() } = {}) {
+  if (!live) return inv;
+
+  const fresh = (l) => {
+    const at = Date.parse(l.updated_at || l.received_at || "");
+    return !Number.isNaN(at) && now - at <= maxAgeMs;
+  };
+
+  let applied = null; // latest live value used
+  const locations = inv.locations.map((loc) => {
+    const l = live.locations[loc.locationId];
+    if (!l || !fresh(l)) return loc;
+    if (!applied || (l.updated_at || "") > (applied.updated_at || "")) applied = l;
+    return { ...loc, available: l.available };
+  });
+
+  if (!applied) return inv;
+
+  const currentAvailable = locations.length
+    ? locations.reduce((sum, l) => sum + l.available, 0)
+    : inv.currentAvailable;
+
+  return {
+    ...inv,
+    locations,
+    currentAvailable,
+    outOfStockSince:
+      currentAvailable != null && currentAvailable <= 0
+        ? live.out_of_stock_since || applied.updated_at || applied.received_at || null
+        : null
+  };
+}
+
+module.exports = {
+  loadLiveLevels,
+  recordLevel,
+  overlayLiveLevels
+};
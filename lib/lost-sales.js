@@ -0,0 +1,103 @@
+/* =====================================================================
+   Lost-sales estimate
+   - Lost units = in-stock velocity × stockout days
+   - Optional seasonality: each stockout day is weighted by how busy
+     that calendar month is across the whole store, so a week out of
+     stock in November costs more than a week in February
+   - Lost revenue = lost units × unit price
+   - Roll-ups by any key (product, ABC grade, ...)
+===================================================================== */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* ------------ Seasonal index by calendar month ------------ */
+/**
+ * Store-wide daily units per calendar month, relative to the overall
+ * daily average. 1 = an average month, 1.8 = 80% busier than average.
+ *
+ * @param {object} unitsByDate  date (YYYY-MM-DD) → units sold, all SKUs
+ * @param {string[]} dates      Every date in the window
+ * @returns {object} "01".."12" → index (months not in the window → 1)
+ */
+function seasonalIndexByMonth(unitsByDate, dates) {
+  const units = {};
+  const days = {};
+  let totalUnits = 0;
+
+  for (const date of dates) {
+    const m = date.slice(5, 7);
+    const u = unitsByDate[date] || 0;
+    units[m] = (units[m] || 0) + u;
+    days[m] = (days[m] || 0) + 1;
+    totalUnits += u;
+  }
+
+  const overall = dates.length ? totalUnits / dates.length : 0;
+  const index = {};
+
+  for (let i = 1; i <= 12; i++) {
+    const m = String(i).padStart(2, "0");
+    index[m] = overall > 0 && days[m] ? units[m] / days[m] / overall : 1;
+  }
+
+  return index;
+}
+
+/* ------------ Per-SKU estimate ------------ */
+/**
+ * @param {object} opts
+ * @param {number|null} opts.velocity      Units per in-stock day
+ * @param {number} opts.stockoutDays
+ * @param {number|null} opts.price         Unit price (null → no revenue)
+ * @param {string[]} [opts.stockoutDates]  Needed for seasonal weighting
+ * @param {object} [opts.seasonalIndex]    From seasonalIndexByMonth
+ */
+function estimateLostSales({ velocity, stockoutDays, price, stockoutDates, seasonalIndex }) {
+  if (velocity == null || !stockoutDays) {
+    return { lost_units: velocity == null ? null : 0, lost_revenue: velocity == null ? null : 0 };
+  }
+
+  let weightedDays = stockoutDays;
+  if (seasonalIndex && stockoutDates) {
+    weightedDays = stockoutDates.reduce(
+      (sum, date) => sum + (seasonalIndex[date.slice(5, 7)] ?? 1),
+      0
+    );
+  }
+
+  const lostUnits = velocity * weightedDays;
+
+  return {
+    lost_units: round2(lostUnits),
+    lost_revenue: price == null ? null : round2(lostUnits * price)
+  };
+}
+
+/* ------------ Roll-ups ------------ */
+/**
+ * @param {object[]} items   Anything carrying lost_units / lost_revenue
+ * @param {function} keyFn   item → group key ("" groups as "(none)")
+ */
+function rollupLostSales(items, keyFn) {
+  const groups = {};
+
+  for (const item of items) {
+    const key = keyFn(item) || "(none)";
+    if (!groups[key]) {
+      groups[key] = { key, sku_count: 0, lost_units: 0, lost_revenue: 0 };
+    }
+
+    const g = groups[key];
+    g.sku_count++;
+    g.lost_units = round2(g.lost_units + (item.lost_units || 0));
+    g.lost_revenue = round2(g.lost_revenue + (item.lost_revenue || 0));
+  }
+
+  return Object.values(groups).sort((a, b) => b.lost_revenue - a.lost_revenue);
+}
+
+module.exports = {
+  seasonalIndexByMonth,
+  estimateLostSales,
+  rollupLostSales
+};
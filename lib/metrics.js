@@ -0,0 +1,324 @@
+/* =====================================================================
+   Per-SKU inventory metrics
+   - Joins variants, reconstructed daily inventory and order lines into
+     days_in_stock / stockout_days / sold_while_in_stock / total_sold,
+     per location and in total, plus lost-sales estimates and
+     (optionally) a demand forecast
+   - gross_sold / refunded / cancelled / net_sold per SKU; the velocity
+     basis (net by default) is what total_sold and velocity count
+   - Revenue, COGS, margin, stock value and GMROI (lib/financials.js),
+     always on net units whatever the velocity basis
+   - last_sold_at / last_received_at (latest positive adjustment) for
+     dead-stock checks
+   - Orders and inventory events are bucketed by calendar day in the
+     store's timezone (lib/dates.js), matching Shopify Analytics
+   - Keyed by normalised SKU (lib/sku.js); variants that normalise to
+     the same SKU have their stock, history and sales combined, and
+     raw_skus lists what went in
+===================================================================== */
+
+const { listDates, buildDailyTimeline, sumTimelines } = require("./timeline");
+const { seasonalIndexByMonth, estimateLostSales } = require("./lost-sales");
+const { forecastDemand } = require("./forecast");
+const { emptyUnits, lineUnits, addUnits } = require("./sales-units");
+const { addMoney, lineRevenue, financialMetrics } = require("./financials");
+const { localDate } = require("./dates");
+const { variantDimensions } = require("./dimensions");
+const { normaliseSku, addRawSku, rawSkuList } = require("./sku");
+const { progressItems } = require("./progress");
+
+/* ------------ Location filter (?location=) ------------ */
+/* Matches on location name (case-insensitive), full gid or numeric id */
+function matchesLocation(loc, filter) {
+  if (!filter) return true;
+  const f = String(filter).trim().toLowerCase();
+  const id = String(loc.locationId || "").toLowerCase();
+  return (
+    loc.locationName.toLowerCase() === f ||
+    id === f ||
+    id.endsWith(`/${f}`)
+  );
+}
+
+function summariseTimeline(timeline) {
+  let daysInStock = 0;
+  let stockoutDays = 0;
+  let soldWhileInStock = 0;
+  let totalSold = 0;
+
+  for (const day of timeline) {
+    totalSold += day.sold;
+
+    if (day.available > 0) {
+      daysInStock++;
+      soldWhileInStock += day.sold;
+    } else {
+      stockoutDays++;
+    }
+  }
+
+  return { daysInStock, stockoutDays, soldWhileInStock, totalSold };
+}
+
+/* ------------ Combine inventory of merged variants ------------ */
+/* Levels add up per location. History stays per item (see
+   itemAtLocation): an event's availableAfterAdjustment is that item's
+   level, not the combined SKU's. */
+function combineInventory(invs) {
+  if (invs.length === 1) return invs[0];
+
+  const byLocation = {};
+  let currentAvailable = null;
+  let outOfStockSince = null;
+
+  for (const inv of invs) {
+    if (inv.currentAvailable != null) currentAvailable = (currentAvailable || 0) + inv.currentAvailable;
+    if (inv.outOfStockSince && !(outOfStockSince >= inv.outOfStockSince)) {
+      outOfStockSince = inv.outOfStockSince;
+    }
+
+    for (const loc of inv.locations) {
+      const key = loc.locationId || "";
+      const into = (byLocation[key] = byLocation[key] || { ...loc, available: 0, incoming: 0 });
+      into.available += loc.available || 0;
+      into.incoming += loc.incoming || 0;
+    }
+  }
+
+  return {
+    currentAvailable,
+    outOfStockSince: currentAvailable > 0 ? null : outOfStockSince,
+    locations: Object.values(byLocation)
+  };
+}
+
+/* One inventory item's level and events at a location, or null when it
+   isn't there. Location-less events belong to the item's only location;
+   failing that, to the SKU's only one (`single`). */
+function itemAtLocation(inv, locationId, single) {
+  const onlyLocation = inv.locations.length === 1 ? inv.locations[0].locationId : null;
+  const events = inv.events.filter((e) => {
+    const at = e.locationId || onlyLocation;
+    return at ? at === locationId : single;
+  });
+
+  const level = inv.locations.find((l) => (l.locationId || null) === (locationId || null));
+  if (!level && !events.length && inv.locations.length) return null;
+
+  return {
+    available: level ? level.available : inv.locations.length ? null : inv.currentAvailable,
+    events
+  };
+}
+
+/* ------------ Compute Metrics ------------ */
+function computeMetrics(
+  variants,
+  inventoryByItem,
+  orders,
+  startDate,
+  endDate,
+  {
+    daily = false,
+    location = null,
+    seasonality = false,
+    forecast = 0,
+    velocityBasis = "net",
+    timeZone = "UTC"
+  } = {}
+) {
+  const skuByVariantId = {};
+  const itemIdsBySku = {};
+  const variantBySku = {};
+  const rawSkusBySku = {};
+
+  // Map variant → normalised SKU, SKU → inventoryItemIds. Price, cost
+  // and product details come from the first variant of a merged SKU.
+  variants.forEach((v) => {
+    const sku = normaliseSku(v.sku);
+    if (!sku) return;
+    if (!v.inventoryItem?.id) return;
+
+    skuByVariantId[v.id] = sku;
+    (itemIdsBySku[sku] = itemIdsBySku[sku] || []).push(v.inventoryItem.id);
+    if (!variantBySku[sku]) variantBySku[sku] = v;
+    addRawSku(rawSkusBySku, sku, v.sku);
+  });
+
+  // Build sales index: (date|sku) → qty on the velocity basis, plus
+  // store-wide date → qty and the four unit measures per SKU
+  const sales = {};
+  const unitsByDate = {};
+  const unitsBySku = {};
+  const revenueBySku = {};
+  const presentmentBySku = {};
+  const lastSoldBySku = {};
+  orders.forEach((order) => {
+    const date = localDate(order.createdAt, timeZone); // YYYY-MM-DD, store day
+    // Orders may span more than this window (comparison runs share a pull)
+    if (date < startDate || date > endDate) return;
+
+    order.lineItems.forEach((li) => {
+      if (!li.variantId) return;
+
+      const sku = skuByVariantId[li.variantId];
+      if (!sku) return;
+
+      const units = lineUnits(order, li);
+      addUnits((unitsBySku[sku] = unitsBySku[sku] || emptyUnits()), units);
+
+      // Money is always on net units; the basis only moves the counts
+      const sold = lineRevenue(li, units.net);
+      revenueBySku[sku] = (revenueBySku[sku] || 0) + sold.revenue;
+      addMoney((presentmentBySku[sku] = presentmentBySku[sku] || {}), sold.presentment);
+
+      const qty = units[velocityBasis];
+      if (!qty) return;
+
+      const key = `${date}|${sku}`;
+      sales[key] = (sales[key] || 0) + qty;
+      if (qty > 0 && !(lastSoldBySku[sku] >= date)) lastSoldBySku[sku] = date;
+      unitsByDate[date] = (unitsByDate[date] || 0) + qty;
+    });
+  });
+
+  // Build list of dates in period
+  const dates = listDates(startDate, endDate);
+  const monthIndex =
+    seasonality || forecast > 0 ? seasonalIndexByMonth(unitsByDate, dates) : null;
+  const seasonalIndex = seasonality ? monthIndex : null;
+
+  // Compute per SKU metrics
+  const output = {};
+
+  for (const [sku, invItemIds] of Object.entries(itemIdsBySku)) {
+    progressItems();
+    const invs = invItemIds.map(
+      (id) => inventoryByItem[id] || { currentAvailable: null, locations: [], events: [] }
+    );
+    const inv = combineInventory(invs);
+
+    const soldByDate = {};
+    for (const date of dates) {
+      const sold = sales[`${date}|${sku}`];
+      if (sold) soldByDate[date] = sold;
+    }
+
+    // One timeline per location, itself the sum of one per inventory
+    // item there; events without a location can only be placed when the
+    // item (or the SKU) is stocked in a single location
+    const locations = inv.locations.length
+      ? inv.locations
+      : [{ locationId: null, locationName: "", available: inv.currentAvailable }];
+    const single = locations.length === 1;
+
+    const perLocation = locations
+      .filter((loc) => matchesLocation(loc, location))
+      .map((loc) => {
+        const parts = invs
+          .map((item) => itemAtLocation(item, loc.locationId, single))
+          .filter(Boolean)
+          .map((part) => ({
+            available: part.available,
+            events: part.events.map((e) => ({ ...e, date: localDate(e.occurredAt, timeZone) }))
+          }));
+        return {
+          loc,
+          events: parts.flatMap((part) => part.events),
+          timeline: sumTimelines(
+            parts.map((part) => buildDailyTimeline(dates, part.events, part.available, soldByDate))
+          )
+        };
+      });
+
+    // Item not stocked at the requested location
+    if (location && !perLocation.length) continue;
+
+    const timeline = sumTimelines(perLocation.map((p) => p.timeline));
+    const lastReceivedAt = perLocation
+      .flatMap((p) => p.events)
+      .filter((e) => e.availableDelta > 0)
+      .reduce((latest, e) => (!latest || e.occurredAt > latest ? e.occurredAt : latest), null);
+    const totals = summariseTimeline(timeline);
+
+    const velocityInStock =
+      totals.daysInStock > 0 ? totals.soldWhileInStock / totals.daysInStock : null;
+    const price = variantBySku[sku].price != null ? Number(variantBySku[sku].price) : null;
+    const units = unitsBySku[sku] || emptyUnits();
+    const unitCost = variantBySku[sku].inventoryItem.unitCost?.amount;
+    const currentAvailable = location
+      ? perLocation.reduce((sum, p) => sum + (p.loc.available || 0), 0)
+      : inv.currentAvailable;
+
+    const lost = estimateLostSales({
+      velocity: velocityInStock,
+      stockoutDays: totals.stockoutDays,
+      price,
+      stockoutDates: timeline.filter((day) => !(day.available > 0)).map((day) => day.date),
+      seasonalIndex
+    });
+
+    output[sku] = {
+      sku,
+      raw_skus: rawSkuList(rawSkusBySku[sku]),
+      product_title: variantBySku[sku].productTitle || "",
+      ...variantDimensions(variantBySku[sku]),
+      current_available: currentAvailable,
+      out_of_stock_since: inv.outOfStockSince || null,
+      incoming: perLocation.reduce((sum, p) => sum + (p.loc.incoming || 0), 0),
+      days_in_stock: totals.daysInStock,
+      stockout_days: totals.stockoutDays,
+      sold_while_in_stock: totals.soldWhileInStock,
+      total_sold: totals.totalSold,
+      gross_sold: units.gross,
+      refunded: units.refunded,
+      cancelled: units.cancelled,
+      net_sold: units.net,
+      velocity_in_stock: velocityInStock, // units per in-stock day
+      last_sold_at: lastSoldBySku[sku] || null, // within the window
+      last_received_at: lastReceivedAt ? localDate(lastReceivedAt, timeZone) : null,
+      price,
+      ...financialMetrics({
+        revenue: revenueBySku[sku] || 0,
+        unitsSold: units.net,
+        unitCost: unitCost != null ? Number(unitCost) : null,
+        onHand: currentAvailable,
+        timeline
+      }),
+      revenue_by_presentment_currency: presentmentBySku[sku] || {},
+      lost_units: lost.lost_units,
+      lost_revenue: lost.lost_revenue,
+      locations: perLocation
+        .filter((p) => p.loc.locationId)
+        .map((p) => {
+          const t = summariseTimeline(p.timeline);
+          return {
+            location_id: p.loc.locationId,
+            location_name: p.loc.locationName,
+            current_available: p.loc.available,
+            incoming: p.loc.incoming || 0,
+            days_in_stock: t.daysInStock,
+            stockout_days: t.stockoutDays
+          };
+        })
+    };
+
+    if (forecast > 0) {
+      output[sku].forecast = forecastDemand(timeline, {
+        horizon: forecast,
+        monthIndex,
+        daily
+      });
+    }
+
+    if (daily) output[sku].daily = timeline;
+  }
+
+  return output;
+}
+
+module.exports = {
+  computeMetrics,
+  matchesLocation,
+  summariseTimeline
+};
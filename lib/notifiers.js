@@ -0,0 +1,209 @@
+/* =====================================================================
+   Alert notifiers
+   - webhook  POST { event, generated_at, window, alerts } as JSON to
+              ALERT_WEBHOOK_URL; with ALERT_WEBHOOK_SECRET the body is
+              signed (X-Alert-Signature: sha256=<hex HMAC>)
+   - slack    Slack-compatible incoming webhook JSON ({ text, blocks })
+              to ALERT_SLACK_WEBHOOK_URL (Mattermost, Discord's /slack
+              endpoint etc. accept the same)
+   - smtp     Plain-text mail through SMTP_HOST (SMTP_PORT, SMTP_SECURE,
+              SMTP_USER, SMTP_PASS) from ALERT_EMAIL_FROM to
+              ALERT_EMAIL_TO (comma-separated), see lib/smtp.js
+   - Every configured notifier gets every batch; one failing doesn't
+     stop the others. setNotifiers() swaps in others ({ name, send }).
+===================================================================== */
+
+const crypto = require("crypto");
+const { sendMail } = require("./smtp");
+
+const TIMEOUT_MS = 10000;
+const SLACK_SECTION_CHARS = 2900; // Slack caps a section at 3000
+const MAX_LINES_PER_TYPE = 50;
+
+const TYPE_LABELS = {
+  low_cover: "Low days of cover",
+  new_stockout: "New stockouts",
+  stockout_rising: "A-grade SKUs with rising stockout days"
+};
+
+/* ------------ Formatting ------------ */
+function byType(alerts) {
+  const out = {};
+  for (const alert of alerts) (out[alert.type] = out[alert.type] || []).push(alert);
+  return out;
+}
+
+function summary(alerts) {
+  const counts = Object.entries(byType(alerts)).map(
+    ([type, list]) => `${list.length} ${(TYPE_LABELS[type] || type).toLowerCase()}`
+  );
+  return `Inventory alerts: ${counts.join(", ")}`;
+}
+
+function sectionLines(list) {
+  const lines = list.slice(0, MAX_LINES_PER_TYPE).map((a) => `• ${a.message}`);
+  if (list.length > MAX_LINES_PER_TYPE) lines.push(`…and ${list.length - MAX_LINES_PER_TYPE} more`);
+  return lines;
+}
+
+function plainText(alerts, context) {
+  const parts = [summary(alerts), ""];
+  for (const [type, list] of Object.entries(byType(alerts))) {
+    parts.push(`${TYPE_LABELS[type] || type} (${list.length})`, ...sectionLines(list), "");
+  }
+  if (context.window) {
+    parts.push(`Report window ${context.window.start_date} – ${context.window.end_date}`);
+  }
+  return parts.join("\n");
+}
+
+async function postJson(url, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers(body) },
+      body,
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    }
+  } catch (err) {
+    throw new Error(err.name === "AbortError" ? `timed out after ${TIMEOUT_MS}ms` : err.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/* ------------ Notifiers ------------ */
+function createWebhookNotifier({ url, secret = null }) {
+  return {
+    name: "webhook",
+    async send(alerts, context) {
+      await postJson(
+        url,
+        {
+          event: "inventory_alerts",
+          generated_at: context.generated_at,
+          window: context.window || null,
+          alerts
+        },
+        (body) =>
+          secret
+            ? { "X-Alert-Signature": `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}` }
+            : {}
+      );
+    }
+  };
+}
+
+function createSlackNotifier({ url }) {
+  return {
+    name: "slack",
+    async send(alerts) {
+      const blocks = [{ type: "header", text: { type: "plain_text", text: summary(alerts).slice(0, 150) } }];
+      for (const [type, list] of Object.entries(byType(alerts))) {
+        const text = [`*${TYPE_LABELS[type] || type}* (${list.length})`, ...sectionLines(list)].join("\n");
+        blocks.push({
+          type: "section",
+          text: { type: "mrkdwn", text: text.length > SLACK_SECTION_CHARS ? `${text.slice(0, SLACK_SECTION_CHARS)}…` : text }
+        });
+      }
+      await postJson(url, { text: summary(alerts), blocks }, () => ({}));
+    }
+  };
+}
+
+function createSmtpNotifier(opts) {
+  return {
+    name: "smtp",
+    async send(alerts, context) {
+      await sendMail({
+        ...opts,
+        subject: summary(alerts),
+        text: plainText(alerts, context)
+      });
+    }
+  };
+}
+
+/* ------------ Active notifiers ------------ */
+let active = null;
+
+function notifiersFromEnv(env = process.env) {
+  const list = [];
+
+  if (env.ALERT_WEBHOOK_URL) {
+    list.push(createWebhookNotifier({ url: env.ALERT_WEBHOOK_URL, secret: env.ALERT_WEBHOOK_SECRET || null }));
+  }
+  if (env.ALERT_SLACK_WEBHOOK_URL) {
+    list.push(createSlackNotifier({ url: env.ALERT_SLACK_WEBHOOK_URL }));
+  }
+  if (env.SMTP_HOST) {
+    const to = String(env.ALERT_EMAIL_TO || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    if (!env.ALERT_EMAIL_FROM || !to.length) {
+      console.warn("SMTP_HOST is set but ALERT_EMAIL_FROM / ALERT_EMAIL_TO missing; no email alerts");
+    } else {
+      list.push(
+        createSmtpNotifier({
+          host: env.SMTP_HOST,
+          port: Number(env.SMTP_PORT) || undefined,
+          secure: env.SMTP_SECURE ? env.SMTP_SECURE === "1" || env.SMTP_SECURE === "true" : undefined,
+          user: env.SMTP_USER || null,
+          pass: env.SMTP_PASS || null,
+          from: env.ALERT_EMAIL_FROM,
+          to
+        })
+      );
+    }
+  }
+
+  return list;
+}
+
+function getNotifiers() {
+  if (!active) active = notifiersFromEnv();
+  return active;
+}
+
+/* For tests / scripts, or other channels */
+function setNotifiers(notifiers) {
+  active = notifiers;
+}
+
+/**
+ * Sends one batch through every notifier.
+ * @returns {Promise<Array<{ name, ok, error }>>}
+ */
+async function notify(alerts, context = {}) {
+  const notifiers = getNotifiers();
+  const results = await Promise.allSettled(notifiers.map((n) => n.send(alerts, context)));
+
+  return results.map((r, i) => {
+    if (r.status === "rejected") {
+      console.error(`Alert notifier ${notifiers[i].name} failed:`, r.reason);
+    }
+    return {
+      name: notifiers[i].name,
+      ok: r.status === "fulfilled",
+      error: r.status === "rejected" ? r.reason?.message || String(r.reason) : null
+    };
+  });
+}
+
+module.exports = {
+  createWebhookNotifier,
+  createSlackNotifier,
+  createSmtpNotifier,
+  notifiersFromEnv,
+  getNotifiers,
+  setNotifiers,
+  notify
+};
@@ -0,0 +1,86 @@
+/* =====================================================================
+   Nested connection pagination
+   - Top-level loops page orders/products; anything nested inside them
+     (lineItems, variants) only comes back in the first page.
+   - fetchRemainingNodes() follows a nested connection's endCursor with a
+     per-parent query until it's exhausted.
+   - Completeness tracks how often that was needed and whether anything
+     still ended up short, for the report's data_completeness block.
+===================================================================== */
+
+const { shopifyGraphQL } = require("./shopify");
+
+/* ------------ Follow a nested connection ------------ */
+/**
+ * @param {string} query     GraphQL query taking $id and $cursor
+ * @param {string} id        Parent object id (order, product)
+ * @param {string} cursor    endCursor from the first (embedded) page
+ * @param {function} getConnection  data → connection ({ pageInfo, edges })
+ * @param {object} [opts]
+ * @param {string} [opts.cache]  Cache type, passed to shopifyGraphQL
+ * @returns {Promise<{ nodes: object[], pages: number }>}
+ */
+async function fetchRemainingNodes(query, id, cursor, getConnection, { cache } = {}) {
+  const nodes = [];
+  let pages = 0;
+
+  while (cursor) {
+    const data = await shopifyGraphQL(query, { id, cursor }, { cache });
+    const conn = getConnection(data);
+    if (!conn) break;
+
+    pages++;
+    for (const edge of conn.edges || []) nodes.push(edge.node);
+
+    cursor = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  }
+
+  return { nodes, pages };
+}
+
+/* ------------ Completeness tracking ------------ */
+function createCompleteness() {
+  const counters = {};
+
+  function entry(connection) {
+    if (!counters[connection]) {
+      counters[connection] = {
+        parents_scanned: 0,
+        parents_paginated: 0,
+        extra_pages_fetched: 0,
+        parents_truncated: 0
+      };
+    }
+    return counters[connection];
+  }
+
+  return {
+    scanned(connection, count = 1) {
+      entry(connection).parents_scanned += count;
+    },
+    paginated(connection, pages) {
+      const e = entry(connection);
+      e.parents_paginated++;
+      e.extra_pages_fetched += pages;
+    },
+    truncated(connection) {
+      entry(connection).parents_truncated++;
+    },
+    toJSON() {
+      const truncatedCount = Object.values(counters).reduce(
+        (sum, c) => sum + c.parents_truncated,
+        0
+      );
+      return {
+        truncated: truncatedCount > 0,
+        truncated_count: truncatedCount,
+        connections: counters
+      };
+    }
+  };
+}
+
+module.exports = {
+  fetchRemainingNodes,
+  createCompleteness
+};
@@ -0,0 +1,94 @@
+/* =====================================================================
+   Progress of a running report (background jobs)
+   - withProgress(tracker, fn) runs a report with a tracker attached;
+     the fetch / compute code reports into whichever tracker is active
+     (AsyncLocalStorage), so nothing has to be threaded through
+   - Outside a job every call here is a no-op
+   - Counts: Shopify pages fetched (requests actually sent, cache hits
+     aren't), and items processed in the current stage (variants,
+     inventory items, orders, SKUs) against a total where one is known
+===================================================================== */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @param {function} [onChange]  Called with a snapshot of the counters,
+ *   at most every intervalMs (and always on stage changes)
+ * @param {object} [opts]
+ * @param {number} [opts.intervalMs]
+ */
+function createProgress(onChange = () => {}, { intervalMs = 1000 } = {}) {
+  const state = {
+    stage: null,
+    stages: [],
+    pages_fetched: 0,
+    items_processed: 0,
+    items_total: null
+  };
+  let lastEmit = 0;
+
+  function emit(force = false) {
+    const now = Date.now();
+    if (!force && now - lastEmit < intervalMs) return;
+    lastEmit = now;
+    onChange(snapshot());
+  }
+
+  function snapshot() {
+    return {
+      ...state,
+      stages: [...state.stages],
+      percent:
+        state.items_total > 0
+          ? Math.min(100, Math.round((state.items_processed / state.items_total) * 100))
+          : null,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  return {
+    stage(name, total = null) {
+      if (state.stage) state.stages.push(state.stage);
+      state.stage = name;
+      state.items_processed = 0;
+      state.items_total = total;
+      emit(true);
+    },
+    page() {
+      state.pages_fetched++;
+      emit();
+    },
+    items(n = 1) {
+      state.items_processed += n;
+      emit();
+    },
+    snapshot
+  };
+}
+
+function withProgress(tracker, fn) {
+  return storage.run(tracker, fn);
+}
+
+/* ------------ Reporting (no-ops without a tracker) ------------ */
+function progressStage(name, total = null) {
+  storage.getStore()?.stage(name, total);
+}
+
+function progressPage() {
+  storage.getStore()?.page();
+}
+
+function progressItems(n = 1) {
+  storage.getStore()?.items(n);
+}
+
+module.exports = {
+  createProgress,
+  withProgress,
+  progressStage,
+  progressPage,
+  progressItems
+};
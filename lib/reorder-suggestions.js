@@ -0,0 +1,174 @@
+/* =====================================================================
+   Reorder suggestions pipeline
+   - Stock position and (by default) demand from the inventory report;
+     demand from the sell-through merge with velocitySource
+     "sell_through" (over the report's range with ShopifyQL, else the
+     sheet's fixed 24 months)
+   - Per-SKU parameters and the maths in lib/reorder.js
+   - ABC grades from the sell-through sheet when it's configured (with
+     the sell-through merge, the computed grade fills in for SKUs the
+     sheet doesn't grade)
+===================================================================== */
+
+const { ordersSource } = require("./ledger");
+const { velocityBasis } = require("./sales-units");
+const { BadRequestError, numberParam, queryFlag } = require("./http");
+const { buildInventoryReport } = require("./inventory-report");
+const { fetchSheetBySku, buildSellThroughReport } = require("./sell-through");
+const { sheetSource, sheetSourceConfigured, sheetFollowsWindow } = require("./sheet-sources");
+const {
+  loadReorderConfig,
+  resolveReorderParams,
+  dailyDemandStdDev,
+  computeReorderSuggestion
+} = require("./reorder");
+
+/* ------------ Query → options ------------ */
+/* Shared by api/reorder-suggestions.js and background jobs (lib/jobs.js).
+   The request-wide overrides are null when not given, so REORDER_CONFIG
+   still applies. */
+function reorderSuggestionsOptions(query = {}) {
+  const serviceLevel = numberParam(query.service_level, null, null, "service_level", { max: 1 });
+  if (serviceLevel === 0 || serviceLevel === 1) {
+    throw new BadRequestError("service_level must be between 0 and 1 exclusive, e.g. 0.95");
+  }
+
+  return {
+    range: query.range || 12,
+    mode: query.mode === "bulk" ? "bulk" : "paged",
+    source: ordersSource(query.source),
+    location: query.location || null,
+    velocityBasis: velocityBasis(query.velocity_basis),
+    velocitySource: query.velocity_source === "sell_through" ? "sell_through" : "inventory",
+    sheetSource: sheetSource(query.sheet_source),
+    overrides: {
+      lead_time_days: numberParam(query.lead_time, null, null, "lead_time"),
+      service_level: serviceLevel,
+      review_days: numberParam(query.review_days, null, null, "review_days")
+    },
+    onlyReorder: queryFlag(query.only_reorder)
+  };
+}
+
+/* ------------ Sheet grades (optional) ------------ */
+async function fetchGrades(source) {
+  if (!sheetSourceConfigured(source)) return {};
+
+  try {
+    const sheet = await fetchSheetBySku({ source });
+    return Object.fromEntries(
+      Object.entries(sheet.bySku).map(([sku, row]) => [sku, row.abc_grade])
+    );
+  } catch (err) {
+    console.error("reorder-suggestions: sheet unavailable, no ABC grades", err);
+    return {};
+  }
+}
+
+/* ------------ Build ------------ */
+/**
+ * @param {object} opts
+ * @param {string|number} [opts.range]   Months of history
+ * @param {"paged"|"bulk"} [opts.mode]
+ * @param {"live"|"ledger"} [opts.source]
+ * @param {string|null} [opts.location]
+ * @param {"net"|"gross"} [opts.velocityBasis]
+ * @param {"inventory"|"sell_through"} [opts.velocitySource]
+ * @param {string} [opts.sheetSource]    Where ABC grades come from
+ * @param {object} [opts.overrides]      lead_time_days / service_level /
+ *                                       review_days for the whole request
+ * @param {boolean} [opts.onlyReorder]   Only SKUs that need reordering
+ */
+async function buildReorderSuggestions({
+  range = 12,
+  mode = "paged",
+  source = "live",
+  location = null,
+  velocityBasis = "net",
+  velocitySource = "inventory",
+  sheetSource = "csv_url",
+  overrides = {},
+  onlyReorder = false
+} = {}) {
+  const config = loadReorderConfig();
+
+  // 1) Stock position + (by default) velocity from the inventory report
+  const report = await buildInventoryReport({
+    range,
+    mode,
+    source,
+    location,
+    daily: true,
+    velocityBasis
+  });
+
+  // 2) Velocity from the sell-through merge, when asked for
+  let sellThrough = null;
+  if (velocitySource === "sell_through") {
+    sellThrough = (await buildSellThroughReport({
+      // A fixed sheet's days in stock only line up with its own window
+      months: sheetFollowsWindow(sheetSource) ? report.range_months : 24,
+      mode: report.mode,
+      source: report.orders_source,
+      velocityBasis: report.velocity_basis,
+      sheetSource
+    })).items;
+  }
+
+  const grades = sellThrough
+    ? Object.fromEntries(
+        Object.entries(sellThrough).map(([k, v]) => [k, v.abc_grade || v.abc_grade_computed])
+      )
+    : await fetchGrades(sheetSource);
+
+  // 3) Per-SKU suggestion
+  const items = {};
+  // Report, sheet and sell-through items are all keyed by normalised SKU
+  for (const [sku, item] of Object.entries(report.items)) {
+    const grade = grades[sku] || "";
+    const params = resolveReorderParams(config, sku, grade, overrides);
+
+    const velocity = sellThrough
+      ? sellThrough[sku]?.velocity_in_stock_24m ?? null
+      : item.velocity_in_stock;
+    const stdDev = sellThrough ? null : dailyDemandStdDev(item.daily);
+
+    items[sku] = {
+      sku,
+      product_title: item.product_title,
+      abc_grade: grade,
+      on_hand: item.current_available,
+      incoming: item.incoming,
+      ...computeReorderSuggestion({
+        velocity,
+        stdDev,
+        onHand: item.current_available,
+        incoming: item.incoming,
+        params
+      })
+    };
+  }
+
+  const reorderCount = Object.values(items).filter((i) => i.needs_reorder).length;
+
+  return {
+    ok: true,
+    range_months: report.range_months,
+    start_date: report.start_date,
+    end_date: report.end_date,
+    location: report.location,
+    velocity_source: velocitySource,
+    velocity_basis: report.velocity_basis,
+    generated_at: new Date().toISOString(),
+    item_count: Object.keys(items).length,
+    reorder_count: reorderCount,
+    items: onlyReorder
+      ? Object.fromEntries(Object.entries(items).filter(([, i]) => i.needs_reorder))
+      : items
+  };
+}
+
+module.exports = {
+  reorderSuggestionsOptions,
+  buildReorderSuggestions
+};
@@ -0,0 +1,186 @@
+/* =====================================================================
+   Reorder point + suggested purchase quantity
+   - Safety stock   = z(service level) × σ(daily demand) × √lead time
+   - Reorder point  = daily demand × lead time + safety stock
+   - Order-up-to    = reorder point + daily demand × review period
+   - Suggested qty  = order-up-to − (on hand + incoming), never < 0
+
+   Lead time, service level and review period resolve per SKU, then per
+   ABC grade, then the defaults. Config comes from REORDER_CONFIG (JSON):
+     {
+       "default": { "lead_time_days": 30, "service_level": 0.95, "review_days": 30 },
+       "grades":  { "A": { "service_level": 0.98 } },
+       "skus":    { "HAT-053": { "lead_time_days": 60 } }
+     }
+===================================================================== */
+
+const DEFAULTS = {
+  lead_time_days: 30,
+  service_level: 0.95,
+  review_days: 30
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* ------------ Config ------------ */
+function loadReorderConfig(raw = process.env.REORDER_CONFIG) {
+  if (!raw) return { default: {}, grades: {}, skus: {} };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`REORDER_CONFIG is not valid JSON: ${err.message}`);
+  }
+
+  const config = {
+    default: parsed.default || {},
+    grades: parsed.grades || {},
+    skus: parsed.skus || {}
+  };
+
+  checkReorderParams(config.default, "default");
+  for (const [grade, params] of Object.entries(config.grades)) checkReorderParams(params, `grades.${grade}`);
+  for (const [sku, params] of Object.entries(config.skus)) checkReorderParams(params, `skus.${sku}`);
+
+  return config;
+}
+
+/* Same limits as the ?lead_time= / ?service_level= / ?review_days=
+   overrides; a bad value is named here instead of surfacing as NaN or
+   a zScore error mid-report */
+function checkReorderParams(params, where) {
+  if (params == null || typeof params !== "object" || Array.isArray(params)) {
+    throw new Error(`REORDER_CONFIG ${where} must be an object`);
+  }
+
+  const bad = (field, expected) => {
+    throw new Error(`REORDER_CONFIG ${where}.${field} must be ${expected} (got ${JSON.stringify(params[field])})`);
+  };
+  const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+  for (const field of ["lead_time_days", "review_days"]) {
+    if (params[field] != null && !(isNumber(params[field]) && params[field] >= 0)) {
+      bad(field, "a number >= 0");
+    }
+  }
+  const level = params.service_level;
+  if (level != null && !(isNumber(level) && level > 0 && level < 1)) {
+    bad("service_level", "between 0 and 1 exclusive, e.g. 0.95");
+  }
+}
+
+/**
+ * Most specific wins: SKU → ABC grade → request overrides → config
+ * default → built-in default.
+ */
+function resolveReorderParams(config, sku, grade, overrides = {}) {
+  const pick = (obj) =>
+    Object.fromEntries(Object.entries(obj || {}).filter(([, v]) => v != null));
+
+  return {
+    ...DEFAULTS,
+    ...pick(config.default),
+    ...pick(overrides),
+    ...pick(grade ? config.grades[String(grade).toUpperCase()] : null),
+    ...pick(config.skus[sku])
+  };
+}
+
+/* ------------ Inverse normal CDF ------------ */
+/* Acklam's rational approximation, accurate to ~1e-9 — plenty for
+   turning a service level into a z-score. */
+function zScore(p) {
+  if (!(p > 0 && p < 1)) {
+    throw new Error(`Service level must be between 0 and 1 (got ${p})`);
+  }
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687,
+    138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866,
+    66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+    3.754408661907416];
+
+  const pLow = 0.02425;
+  const pHigh = 1 - pLow;
+  let q;
+  let r;
+
+  if (p < pLow) {
+    q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > pHigh) {
+    q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  q = p - 0.5;
+  r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/* ------------ Demand variability ------------ */
+/**
+ * Std dev of units sold per in-stock day. Stockout days are left out:
+ * a zero there is missing supply, not missing demand.
+ */
+function dailyDemandStdDev(daily) {
+  const values = (daily || []).filter((d) => d.available > 0).map((d) => d.sold);
+  if (values.length < 2) return null;
+
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const variance =
+    values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/* ------------ Per-SKU suggestion ------------ */
+/**
+ * @param {object} opts
+ * @param {number|null} opts.velocity  Units per in-stock day
+ * @param {number|null} opts.stdDev    Daily demand std dev; falls back to
+ *                                     √velocity (Poisson) when unknown
+ * @param {number} opts.onHand
+ * @param {number} opts.incoming
+ * @param {object} opts.params         From resolveReorderParams
+ */
+function computeReorderSuggestion({ velocity, stdDev, onHand, incoming, params }) {
+  const demand = velocity || 0;
+  const sigma = stdDev ?? Math.sqrt(demand);
+  const z = zScore(params.service_level);
+  const lead = params.lead_time_days;
+
+  const safetyStock = z * sigma * Math.sqrt(lead);
+  const reorderPoint = demand * lead + safetyStock;
+  const orderUpTo = reorderPoint + demand * params.review_days;
+  const position = (onHand || 0) + (incoming || 0);
+
+  return {
+    lead_time_days: lead,
+    service_level: params.service_level,
+    review_days: params.review_days,
+    daily_demand: round2(demand),
+    demand_std_dev: round2(sigma),
+    safety_stock: Math.ceil(safetyStock),
+    reorder_point: Math.ceil(reorderPoint),
+    inventory_position: position,
+    needs_reorder: position <= reorderPoint && demand > 0,
+    suggested_order_qty: Math.max(0, Math.ceil(orderUpTo - position))
+  };
+}
+
+module.exports = {
+  loadReorderConfig,
+  resolveReorderParams,
+  zScore,
+  dailyDemandStdDev,
+  computeReorderSuggestion
+};
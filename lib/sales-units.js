@@ -0,0 +1,58 @@
+/* =====================================================================
+   Units sold: gross, refunded, cancelled, net
+   - gross      every unit ordered (lineItem.quantity)
+   - cancelled  units on cancelled orders
+   - refunded   units refunded / returned on live orders, plus lines
+                taken off by order edits
+   - net        gross - cancelled - refunded
+   - Which one feeds total_sold / velocity is the "velocity basis":
+     ?velocity_basis=net|gross, VELOCITY_BASIS sets the default (net).
+     Revenue and the other money figures are always on net units.
+===================================================================== */
+
+const VELOCITY_BASES = ["net", "gross"];
+
+function velocityBasis(value) {
+  const v = String(value || process.env.VELOCITY_BASIS || "net").toLowerCase();
+  return VELOCITY_BASES.includes(v) ? v : "net";
+}
+
+function emptyUnits() {
+  return { gross: 0, refunded: 0, cancelled: 0, net: 0 };
+}
+
+/**
+ * Splits one order line (fetchOrders() shape) into the four measures.
+ */
+function lineUnits(order, li) {
+  const gross = li.quantity || 0;
+
+  if (order.cancelledAt) {
+    return { gross, refunded: 0, cancelled: gross, net: 0 };
+  }
+
+  // currentQuantity already drops removed (and, depending on how the
+  // refund was made, refunded) units; refundedQuantity comes from the
+  // order's refunds. Take whichever accounts for more, so a unit is
+  // never netted out twice.
+  const current = li.currentQuantity ?? gross;
+  const refunded = Math.min(gross, Math.max(li.refundedQuantity || 0, gross - current));
+
+  return { gross, refunded, cancelled: 0, net: gross - refunded };
+}
+
+function addUnits(target, units) {
+  target.gross += units.gross;
+  target.refunded += units.refunded;
+  target.cancelled += units.cancelled;
+  target.net += units.net;
+  return target;
+}
+
+module.exports = {
+  VELOCITY_BASES,
+  velocityBasis,
+  emptyUnits,
+  lineUnits,
+  addUnits
+};
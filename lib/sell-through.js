@@ -0,0 +1,491 @@
+/* =====================================================================
+   Sell-through report builder
+   - Window from getDateRange(): ?months= or start / end in the store's
+     timezone, optionally compared with the previous period / year
+   - Shopify sales by normalised SKU (paged or bulk), split into gross /
+     refunded / cancelled / net units (lib/sales-units.js)
+   - Sell-through data from a CSV URL (Google Sheet export), an
+     uploaded CSV / XLSX or ShopifyQL (lib/sheet-sources.js), mapped and
+     validated by lib/sheet.js; row problems come back as sheet_warnings
+   - Merge + lost-sales roll-ups; buildSellThroughReport() returns the
+     payload served by api/sell-through.js
+   - Our own ABC (and optional XYZ) grade next to the sheet's, with
+     disagreements flagged (lib/classification.js)
+   - Vendor / product type / collections / tags from the catalogue, for
+     filters and ?group_by= (lib/dimensions.js)
+   - Orders, sheet rows and variants are all keyed by the shared SKU
+     normaliser (lib/sku.js); raw_skus lists what each key merged
+===================================================================== */
+
+const { getDateRange, fetchShopInfo, fetchAllVariants } = require("./inventory");
+const { loadOrders, ordersSource } = require("./ledger");
+const { createCompleteness } = require("./pagination");
+const { progressStage } = require("./progress");
+const { estimateLostSales, rollupLostSales } = require("./lost-sales");
+const { lineUnits, velocityBasis } = require("./sales-units");
+const { lineRevenue } = require("./financials");
+const {
+  classificationOptions,
+  classifyAbc,
+  classifyXyz,
+  listMonths,
+  gradeMismatch
+} = require("./classification");
+const { comparisonWindow, periodDelta, windowInfo, compareMode } = require("./compare");
+const { localDate } = require("./dates");
+const {
+  variantDimensions,
+  filterItems,
+  groupItems,
+  groupByParam,
+  dimensionFilters
+} = require("./dimensions");
+const { normaliseSku, rawSkuList, mergedSkus, skuRulesInfo } = require("./sku");
+const { loadSheet, sheetSource, sheetFollowsWindow } = require("./sheet-sources");
+
+const COMPARED_FIELDS = ["total_sold_24m", "revenue_24m"];
+
+/* Compared too when the sheet source answers for any window (ShopifyQL) */
+const SHEET_COMPARED_FIELDS = ["days_in_stock_24m", "days_out_of_stock_24m", "velocity_in_stock_24m"];
+
+/* Additive per-SKU fields summed per ?group_by= group */
+const GROUP_FIELDS = [
+  "revenue_24m",
+  "total_sold_24m",
+  "gross_sold_24m",
+  "refunded_24m",
+  "cancelled_24m",
+  "net_sold_24m",
+  "lost_units_24m",
+  "lost_revenue_24m"
+];
+
+/* ------------ Sales by SKU for a window ------------ */
+/* Orders come from the same (cached) pull as the inventory report; only
+   the aggregation by normalised SKU lives here. total_sold_24m follows
+   the velocity basis; revenue_24m is the discounted (actually charged)
+   total for the net units, in shop currency, as in the inventory
+   report. The *_24m names predate custom ranges and cover
+   whatever window was asked for. */
+function salesBySku(orders, window, velocityBasis = "net") {
+  const from = Date.parse(window.startISO);
+  const to = Date.parse(window.endISO);
+
+  const stats = {};
+  function ensureSku(skuNorm, skuRaw) {
+    if (!skuNorm) return null;
+    if (!stats[skuNorm]) {
+      stats[skuNorm] = {
+        sku: skuNorm,
+        any_raw_sku: skuRaw || skuNorm,
+        raw_skus: new Set(),
+        total_sold_24m: 0,
+        gross_sold_24m: 0,
+        refunded_24m: 0,
+        cancelled_24m: 0,
+        net_sold_24m: 0,
+        revenue_24m: 0,
+        units_by_month: {} // "YYYY-MM" → units, for XYZ
+      };
+    }
+    return stats[skuNorm];
+  }
+
+  function addSale(sku, units, li, month) {
+    const rawSku = sku ? String(sku).trim() : null;
+    const skuNorm = normaliseSku(rawSku);
+    if (!skuNorm) return;
+
+    const s = ensureSku(skuNorm, rawSku);
+    s.raw_skus.add(rawSku);
+    const qty = units[velocityBasis];
+    s.total_sold_24m += qty;
+    s.gross_sold_24m += units.gross;
+    s.refunded_24m += units.refunded;
+    s.cancelled_24m += units.cancelled;
+    s.net_sold_24m += units.net;
+    s.revenue_24m += lineRevenue(li, units.net).revenue;
+    s.units_by_month[month] = (s.units_by_month[month] || 0) + qty;
+  }
+
+  for (const order of orders) {
+    const at = Date.parse(order.createdAt);
+    if (at < from || at > to) continue;
+
+    for (const li of order.lineItems) {
+      addSale(li.sku, lineUnits(order, li), li, localDate(order.createdAt, window.timeZone).slice(0, 7));
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * @param {object} window   From getDateRange()
+ * @param {object} [opts]
+ * @param {object|null} [opts.previous]  Comparison window; pulled in
+ *   the same request and aggregated separately
+ */
+async function fetchSalesBySku(
+  window,
+  { mode = "paged", source = "live", velocityBasis = "net", previous = null } = {}
+) {
+  const completeness = createCompleteness();
+  const startISO =
+    previous && previous.startISO < window.startISO ? previous.startISO : window.startISO;
+  const endISO = previous && previous.endISO > window.endISO ? previous.endISO : window.endISO;
+
+  const { orders, ledger } = await loadOrders(startISO, {
+    endISO,
+    timeZone: window.timeZone,
+    source,
+    mode,
+    completeness
+  });
+
+  return {
+    stats: salesBySku(orders, window, velocityBasis),
+    previousStats: previous ? salesBySku(orders, previous, velocityBasis) : null,
+    completeness,
+    ledger
+  };
+}
+
+/* ------------ Sell-through data (sheet, upload or ShopifyQL) ------------ */
+/* Sources live in lib/sheet-sources.js, column mapping and row checks
+   in lib/sheet.js; returns { bySku, warnings, warningCount, columns,
+   source } */
+async function fetchSheetBySku({ source = "csv_url", window = null } = {}) {
+  return loadSheet(source, { window });
+}
+
+/* ------------ Catalogue dimensions by normalised SKU ------------ */
+/* Several raw SKUs can share a normalised one; the first variant wins */
+async function fetchDimensionsBySku(completeness) {
+  const variants = await fetchAllVariants(completeness);
+  const bySku = {};
+
+  for (const v of variants) {
+    const sku = normaliseSku(v.sku);
+    if (!sku) continue;
+    if (!bySku[sku]) {
+      bySku[sku] = { product_title: v.productTitle || "", ...variantDimensions(v), raw_skus: new Set() };
+    }
+    bySku[sku].raw_skus.add(String(v.sku).trim());
+  }
+
+  return bySku;
+}
+
+/* ------------ Merge Shopify sales + sheet ------------ */
+/**
+ * @param {object} salesStats   From salesBySku()
+ * @param {object} sheetStats   fetchSheetBySku().bySku
+ * @param {object} [dimensionsBySku]  From fetchDimensionsBySku(); the
+ *   sheet's titles win where it has them
+ * @param {object} [opts]
+ * @param {boolean} [opts.sheetWindowMatches]  false when the sheet's
+ *   days cover another window than the sales: velocity and lost sales
+ *   would divide one window's units by the other's days, so they're null
+ */
+function mergeSalesAndSheet(salesStats, sheetStats, dimensionsBySku = {}, { sheetWindowMatches = true } = {}) {
+  const items = {};
+  const allSkus = new Set([
+    ...Object.keys(salesStats),
+    ...Object.keys(sheetStats)
+  ]);
+
+  for (const sku of allSkus) {
+    const sales = salesStats[sku] || {
+      sku,
+      any_raw_sku: sku,
+      total_sold_24m: 0,
+      gross_sold_24m: 0,
+      refunded_24m: 0,
+      cancelled_24m: 0,
+      net_sold_24m: 0,
+      revenue_24m: 0
+    };
+
+    const sheet = sheetStats[sku] || {
+      sku_norm: sku,
+      sku_raw: sales.any_raw_sku || sku,
+      product_title: "",
+      variant_title: "",
+      abc_grade: "",
+      days_in_stock_24m: 0,
+      days_out_of_stock_24m: 0,
+      inventory_units_sold_csv: null,
+      sell_through_rate_csv: null,
+      percent_inventory_sold_csv: null
+    };
+
+    const totalDays =
+      sheet.days_in_stock_24m + sheet.days_out_of_stock_24m || 0;
+
+    const inStockRate =
+      totalDays > 0 ? sheet.days_in_stock_24m / totalDays : null;
+
+    const velocityInStock =
+      sheetWindowMatches && sheet.days_in_stock_24m > 0
+        ? sales.total_sold_24m / sheet.days_in_stock_24m
+        : null;
+
+    // Average price actually charged, so lost revenue reflects real mix
+    const avgUnitPrice =
+      sales.net_sold_24m > 0 ? sales.revenue_24m / sales.net_sold_24m : null;
+
+    const lost = estimateLostSales({
+      velocity: velocityInStock,
+      stockoutDays: sheet.days_out_of_stock_24m,
+      price: avgUnitPrice
+    });
+
+    const dims = dimensionsBySku[sku] || variantDimensions(null);
+
+    items[sku] = {
+      sku_norm: sku,
+      sku_raw: sheet.sku_raw || sales.any_raw_sku || sku,
+      // Every raw SKU folded into this key: orders, sheet rows, variants
+      raw_skus: rawSkuList(
+        new Set([...(sales.raw_skus || []), ...(sheet.raw_skus || []), ...(dims.raw_skus || [])])
+      ),
+      product_title: sheet.product_title || dims.product_title || "",
+      variant_title: sheet.variant_title || dims.variant_title,
+      product_id: dims.product_id,
+      vendor: dims.vendor,
+      product_type: dims.product_type,
+      product_status: dims.product_status,
+      tags: dims.tags,
+      collections: dims.collections,
+      abc_grade: sheet.abc_grade,
+
+      // From Shopify orders (24m); total follows the velocity basis
+      total_sold_24m: sales.total_sold_24m,
+      gross_sold_24m: sales.gross_sold_24m,
+      refunded_24m: sales.refunded_24m,
+      cancelled_24m: sales.cancelled_24m,
+      net_sold_24m: sales.net_sold_24m,
+
+      // From Sheet (24m window of the report)
+      days_in_stock_24m: sheet.days_in_stock_24m,
+      days_out_of_stock_24m: sheet.days_out_of_stock_24m,
+      in_stock_rate_24m: inStockRate, // 0–1
+
+      // Derived KPI: how fast it sells when actually available
+      velocity_in_stock_24m: velocityInStock, // units per in-stock day
+
+      // Estimated sales missed while out of stock
+      avg_unit_price_24m: avgUnitPrice,
+      revenue_24m: Math.round(sales.revenue_24m * 100) / 100,
+      avg_selling_price_24m: avgUnitPrice == null ? null : Math.round(avgUnitPrice * 100) / 100,
+      lost_units_24m: lost.lost_units,
+      lost_revenue_24m: lost.lost_revenue,
+
+      // Raw sheet stats (for reference / debugging)
+      inventory_units_sold_csv: sheet.inventory_units_sold_csv,
+      sell_through_rate_csv: sheet.sell_through_rate_csv,
+      percent_inventory_sold_csv: sheet.percent_inventory_sold_csv
+    };
+  }
+
+  return items;
+}
+
+/* ------------ Computed ABC / XYZ ------------ */
+/**
+ * Adds abc_grade_computed / abc_cumulative_share / abc_mismatch (and
+ * xyz_grade / demand_cv / abc_xyz_grade with opts.xyz) to each item.
+ * SKUs only in the sheet have no sales and grade C (Z).
+ *
+ * @returns {number} How many SKUs disagree with the sheet grade
+ */
+function applyClassification(items, salesStats, { basis, abcThresholds, xyz, xyzThresholds, months }) {
+  const value = (item) => (basis === "units" ? item.total_sold_24m : item.revenue_24m);
+  const abc = classifyAbc(
+    Object.fromEntries(Object.entries(items).map(([sku, item]) => [sku, value(item)])),
+    abcThresholds
+  );
+
+  let mismatches = 0;
+  for (const [sku, item] of Object.entries(items)) {
+    item.abc_grade_computed = abc[sku].grade;
+    item.abc_cumulative_share = abc[sku].share;
+    item.abc_mismatch = gradeMismatch(item.abc_grade, item.abc_grade_computed);
+    if (item.abc_mismatch) mismatches++;
+
+    if (xyz) {
+      const x = classifyXyz(salesStats[sku]?.units_by_month, months, xyzThresholds);
+      item.xyz_grade = x.grade;
+      item.demand_cv = x.cv;
+      item.abc_xyz_grade = item.abc_grade_computed + x.grade;
+    }
+  }
+
+  return mismatches;
+}
+
+/* ------------ Query → options ------------ */
+/* Shared by api/sell-through.js and background jobs (lib/jobs.js) */
+function sellThroughOptions(query = {}) {
+  return {
+    months: Number(query.months) || 24,
+    start: query.start || null,
+    end: query.end || null,
+    compare: compareMode(query.compare),
+    mode: query.mode === "bulk" ? "bulk" : "paged",
+    source: ordersSource(query.source),
+    velocityBasis: velocityBasis(query.velocity_basis),
+    classification: classificationOptions(query),
+    sheetSource: sheetSource(query.sheet_source),
+    filters: dimensionFilters(query),
+    groupBy: groupByParam(query.group_by)
+  };
+}
+
+/* ------------ Full report ------------ */
+async function buildSellThroughReport({
+  months = 24,
+  start = null,
+  end = null,
+  compare = null,
+  mode = "paged",
+  source = "live",
+  velocityBasis = "net",
+  classification = classificationOptions(),
+  sheetSource = "csv_url",
+  filters = {},
+  groupBy = null
+} = {}) {
+  const shop = await fetchShopInfo();
+  const window = getDateRange(months, { start, end, timeZone: shop.timeZone });
+  const previous = compare ? comparisonWindow(window, compare) : null;
+
+  // 1) Shopify sales (last N months, default 24, or start..end)
+  progressStage("orders");
+  const {
+    stats: salesStats,
+    previousStats,
+    completeness,
+    ledger
+  } = await fetchSalesBySku(window, { mode, source, velocityBasis, previous });
+
+  // 2) Sell-through data (sheet / upload / ShopifyQL) + catalogue dimensions
+  progressStage("sheet");
+  const sheet = await fetchSheetBySku({ source: sheetSource, window });
+  const sheetStats = sheet.bySku;
+  progressStage("variants");
+  const dimensionsBySku = await fetchDimensionsBySku(completeness);
+
+  // 3) Merge
+  progressStage("merge");
+  // A csv_url / upload sheet covers its own fixed 24 months; ShopifyQL
+  // answers for whatever window is asked for
+  const sheetWindowMatches =
+    sheetFollowsWindow(sheetSource) || (!start && !end && window.months === 24);
+  const sheetWarnings = sheetWindowMatches
+    ? sheet.warnings
+    : [
+        {
+          type: "window_mismatch",
+          message:
+            `The ${sheetSource} sheet covers a fixed 24 month window, not ${window.startDate} – ${window.endDate}; ` +
+            "velocity and lost sales need sheet_source=shopifyql for this window and are left empty"
+        },
+        ...sheet.warnings
+      ];
+  const merged = mergeSalesAndSheet(salesStats, sheetStats, dimensionsBySku, { sheetWindowMatches });
+
+  // 4) Our own grades, next to the sheet's
+  const mismatchCount = applyClassification(merged, salesStats, {
+    ...classification,
+    months: listMonths(window.startDate, window.endDate)
+  });
+
+  // 4b) Deltas against the comparison window. ShopifyQL answers for
+  //     that window too, so stockout days and velocity compare; a fixed
+  //     sheet has no previous window, so there only sales do.
+  const comparedFields = sheetFollowsWindow(sheetSource)
+    ? [...COMPARED_FIELDS, ...SHEET_COMPARED_FIELDS]
+    : COMPARED_FIELDS;
+  if (previous) {
+    const previousItems =
+      comparedFields === COMPARED_FIELDS
+        ? previousStats
+        : mergeSalesAndSheet(
+            previousStats,
+            (await fetchSheetBySku({ source: sheetSource, window: previous })).bySku
+          );
+
+    for (const [sku, item] of Object.entries(merged)) {
+      item.comparison = periodDelta(
+        item,
+        previousItems[sku] || { total_sold_24m: 0, revenue_24m: 0 },
+        comparedFields
+      );
+    }
+  }
+
+  // 4c) Vendor / type / collection / tag / status filters. Applied after
+  //     grading, so grades stay relative to the whole catalogue.
+  const items = filterItems(merged, filters);
+
+  // 5) Lost-sales roll-ups
+  const lostList = Object.values(items).map((item) => ({
+    ...item,
+    lost_units: item.lost_units_24m,
+    lost_revenue: item.lost_revenue_24m
+  }));
+  const [overall] = rollupLostSales(lostList, () => "all");
+
+  return {
+    ok: true,
+    start_date: window.startDate,
+    end_date: window.endDate,
+    time_zone: window.timeZone,
+    range_months: window.months,
+    comparison: previous ? { ...windowInfo(compare, previous), fields: comparedFields } : null,
+    mode,
+    orders_source: source,
+    velocity_basis: velocityBasis,
+    ledger,
+    generated_at: new Date().toISOString(),
+    item_count: Object.keys(items).length,
+    data_completeness: completeness.toJSON(),
+    classification: {
+      basis: classification.basis,
+      abc_thresholds: classification.abcThresholds,
+      xyz_thresholds: classification.xyz ? classification.xyzThresholds : null,
+      mismatch_count: mismatchCount
+    },
+    sku_rules: skuRulesInfo(),
+    merged_skus: mergedSkus(items),
+    sheet_source: sheet.source,
+    sheet_columns: sheet.columns,
+    sheet_window_matches: sheetWindowMatches,
+    sheet_warning_count: sheet.warningCount + (sheetWindowMatches ? 0 : 1),
+    sheet_warnings: sheetWarnings,
+    lost_sales: {
+      lost_units: overall?.lost_units || 0,
+      lost_revenue: overall?.lost_revenue || 0,
+      by_product: rollupLostSales(lostList, (item) => item.product_title),
+      by_abc_grade: rollupLostSales(lostList, (item) => item.abc_grade),
+      by_abc_grade_computed: rollupLostSales(lostList, (item) => item.abc_grade_computed)
+    },
+    filters,
+    group_by: groupBy,
+    groups: groupBy ? groupItems(Object.values(items), groupBy, GROUP_FIELDS) : null,
+    items
+  };
+}
+
+module.exports = {
+  GROUP_FIELDS,
+  salesBySku,
+  fetchSalesBySku,
+  fetchSheetBySku,
+  fetchDimensionsBySku,
+  mergeSalesAndSheet,
+  sellThroughOptions,
+  buildSellThroughReport
+};
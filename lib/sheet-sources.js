@@ -0,0 +1,231 @@
+/* =====================================================================
+   Sell-through data sources
+   - csv_url    CSV over HTTP (SELLTHROUGH_SHEET_CSV_URL, e.g. a
+                published Google Sheet); last updated = Last-Modified
+   - upload     CSV / XLSX posted to api/sell-through-upload.js, kept
+                under REPORT_DATA_DIR; last updated = upload time
+   - shopifyql  Shopify's own analytics via the shopifyqlQuery GraphQL
+                field (SELLTHROUGH_SHOPIFYQL overrides the query; needs
+                SHOPIFY_API_VERSION 2025-10+ and the read_reports scope);
+                last updated = query time
+   - ?sheet_source= picks one per request, SELLTHROUGH_SOURCE sets the
+     default (csv_url)
+   - Only shopifyql answers for the report's window; the csv_url and
+     upload sheets cover whatever (fixed, 24 month) window they were
+     exported for
+   - Every source returns header + rows, so column mapping and row
+     checks stay in lib/sheet.js
+===================================================================== */
+
+const { shopifyGraphQL } = require("./shopify");
+const { dataPath, readJson, writeJson } = require("./store");
+const { BadRequestError } = require("./http");
+const { readXlsx } = require("./xlsx");
+const { parseCsv, parseSheet } = require("./sheet");
+
+const SHEET_CSV_URL = process.env.SELLTHROUGH_SHEET_CSV_URL;
+const UPLOAD_FILE = dataPath("sell-through-upload.json");
+
+const SHEET_SOURCES = ["csv_url", "upload", "shopifyql"];
+
+/* Column names line up with lib/sheet.js aliases once case and
+   punctuation are ignored (product_variant_sku → "Product variant SKU") */
+const DEFAULT_SHOPIFYQL =
+  "FROM inventory " +
+  "SHOW days_in_stock, days_out_of_stock, inventory_units_sold, sell_through_rate, percent_of_inventory_sold " +
+  "GROUP BY product_title, product_variant_title, product_variant_sku, product_variant_abc_grade " +
+  "SINCE {start} UNTIL {end}";
+
+/* ?sheet_source= → source; anything else is a 400 */
+function sheetSource(value) {
+  const v = String(value || process.env.SELLTHROUGH_SOURCE || "csv_url").toLowerCase();
+  if (!SHEET_SOURCES.includes(v)) {
+    throw new BadRequestError(`sheet_source must be one of ${SHEET_SOURCES.join(", ")}`);
+  }
+  return v;
+}
+
+/* Whether the source can be tried without failing on missing config */
+function sheetSourceConfigured(source) {
+  return source !== "csv_url" || !!SHEET_CSV_URL;
+}
+
+/* Whether the source's days in stock follow the requested window */
+function sheetFollowsWindow(source) {
+  return source === "shopifyql";
+}
+
+/* URL without query string / credentials, safe to echo in a report */
+function describeUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}${u.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+/* ------------ csv_url ------------ */
+async function fromCsvUrl() {
+  if (!SHEET_CSV_URL) {
+    throw new Error("SELLTHROUGH_SHEET_CSV_URL is not set");
+  }
+
+  const res = await fetch(SHEET_CSV_URL);
+  if (!res.ok) {
+    const text = await res.text();
+    console.error("Error fetching sheet:", res.status, text);
+    throw new Error("Failed to fetch sell-through sheet (see logs)");
+  }
+
+  const fetchedAt = new Date().toISOString();
+  const lastModified = Date.parse(res.headers?.get?.("last-modified") || "");
+
+  return {
+    rows: parseCsv(await res.text()),
+    info: {
+      location: describeUrl(SHEET_CSV_URL),
+      last_updated: Number.isNaN(lastModified) ? fetchedAt : new Date(lastModified).toISOString(),
+      last_updated_from: Number.isNaN(lastModified) ? "fetch_time" : "last_modified"
+    }
+  };
+}
+
+/* ------------ upload ------------ */
+/**
+ * Parses and stores an uploaded export. The file is checked with the
+ * same schema as every other source before it replaces the last one.
+ *
+ * @param {Buffer} body
+ * @param {object} opts
+ * @param {"csv"|"xlsx"} opts.format
+ * @param {string|null} [opts.filename]
+ * @returns {Promise<object>} parseSheet() summary plus the stored metadata
+ */
+async function saveUpload(body, { format, filename = null }) {
+  let rows;
+  try {
+    rows = format === "xlsx" ? readXlsx(body) : parseCsv(body.toString("utf8").replace(/^\uFEFF/, ""));
+  } catch (err) {
+    throw new BadRequestError(`Could not read ${format.toUpperCase()} upload: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseSheet(rows);
+  } catch (err) {
+    throw new BadRequestError(err.message);
+  }
+
+  const meta = {
+    filename,
+    format,
+    uploaded_at: new Date().toISOString(),
+    row_count: rows.length - 1,
+    sku_count: Object.keys(parsed.bySku).length
+  };
+  await writeJson(UPLOAD_FILE, { ...meta, rows });
+
+  return { ...meta, columns: parsed.columns, warningCount: parsed.warningCount, warnings: parsed.warnings };
+}
+
+/* Stored upload's metadata (no rows), or null */
+async function uploadInfo() {
+  const upload = await readJson(UPLOAD_FILE);
+  if (!upload) return null;
+  const meta = { ...upload };
+  delete meta.rows;
+  return meta;
+}
+
+async function fromUpload() {
+  const upload = await readJson(UPLOAD_FILE);
+  if (!upload) {
+    throw new Error("No sell-through file has been uploaded (POST /api/sell-through-upload)");
+  }
+
+  return {
+    rows: upload.rows,
+    info: {
+      location: upload.filename || `upload.${upload.format}`,
+      format: upload.format,
+      last_updated: upload.uploaded_at,
+      last_updated_from: "upload_time"
+    }
+  };
+}
+
+/* ------------ shopifyql ------------ */
+const SHOPIFYQL_QUERY = `
+  query SellThroughShopifyql($query: String!) {
+    shopifyqlQuery(query: $query) {
+      parseErrors
+      tableData {
+        columns { name dataType displayName }
+        rows
+      }
+    }
+  }
+`;
+
+/* Without a report window (grade lookups), the last 24 months */
+async function fromShopifyql(window) {
+  const query = (process.env.SELLTHROUGH_SHOPIFYQL || DEFAULT_SHOPIFYQL)
+    .replace(/\{start\}/g, window?.startDate || "-24m")
+    .replace(/\{end\}/g, window?.endDate || "today");
+
+  const data = await shopifyGraphQL(SHOPIFYQL_QUERY, { query }, { cache: "analytics" });
+  const result = data?.shopifyqlQuery;
+  if (result?.parseErrors?.length) {
+    throw new Error(`ShopifyQL parse error: ${[].concat(result.parseErrors).join("; ")}`);
+  }
+
+  const columns = result?.tableData?.columns || [];
+  const names = columns.map((c) => c.name);
+  // Rows come back as objects keyed by column name (or plain arrays)
+  const rows = (result?.tableData?.rows || []).map((row) =>
+    Array.isArray(row) ? row : names.map((n) => row[n] ?? "")
+  );
+
+  return {
+    rows: [names, ...rows],
+    info: {
+      location: "shopifyql",
+      query,
+      last_updated: new Date().toISOString(),
+      last_updated_from: "query_time"
+    }
+  };
+}
+
+/* ------------ Load ------------ */
+/**
+ * @param {"csv_url"|"upload"|"shopifyql"} source
+ * @param {object} [opts]
+ * @param {object} [opts.window]  Report window (ShopifyQL queries it)
+ * @returns {Promise<{ bySku, warnings, warningCount, columns, source }>}
+ */
+async function loadSheet(source, { window } = {}) {
+  const fetchedAt = new Date().toISOString();
+  const { rows, info } =
+    source === "upload"
+      ? await fromUpload()
+      : source === "shopifyql"
+        ? await fromShopifyql(window)
+        : await fromCsvUrl();
+
+  return {
+    ...parseSheet(rows),
+    source: { type: source, ...info, fetched_at: fetchedAt }
+  };
+}
+
+module.exports = {
+  SHEET_SOURCES,
+  sheetSource,
+  sheetSourceConfigured,
+  sheetFollowsWindow,
+  saveUpload,
+  uploadInfo,
+  loadSheet
+};
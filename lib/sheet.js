@@ -0,0 +1,359 @@
+/* =====================================================================
+   Sell-through sheet ingestion
+   - Column mapping schema: each field lists the header names it may
+     appear under; headers match ignoring case, spacing and punctuation,
+     so "Days in stock (at location)" and "days in stock at location"
+     are the same column
+   - Extra / renamed headers via SELLTHROUGH_SHEET_COLUMNS (JSON),
+     tried before the built-in names:
+       { "days_in_stock": ["Tage auf Lager"], "sku": "Artikelnummer" }
+   - Locale numbers: "1.234,5", "1,234.5", "1 234", "12 %" (the
+     decimal separator is guessed per value unless
+     SELLTHROUGH_SHEET_DECIMAL is "." or ",")
+   - Every row is validated; problems come back as warnings instead of
+     silently turning into zeros
+   - Rows that normalise to one SKU (variants merged by SKU_RULES, or
+     one row per location) are combined, with a duplicate_sku warning:
+     units sold add up; days in stock are the longest of the rows (the
+     SKU was in stock while any of them was, and the days share one
+     calendar, so they don't add), days out of stock the shortest; the
+     best ABC grade is kept; the sheet's rates can't be recombined
+     without its inventory figures and become null
+===================================================================== */
+
+const { normaliseSku } = require("./sku");
+
+const MAX_WARNINGS = 200;
+
+/* ------------ Minimal CSV parser (handles quotes & commas) ------------ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    const next = text[i + 1];
+
+    if (c === '"' && inQuotes && next === '"') {
+      // Escaped quote ""
+      field += '"';
+      i++; // skip next
+    } else if (c === '"') {
+      inQuotes = !inQuotes;
+    } else if (c === "," && !inQuotes) {
+      row.push(field);
+      field = "";
+    } else if ((c === "\n" || c === "\r") && !inQuotes) {
+      if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      }
+      // swallow CRLF combos
+      if (c === "\r" && next === "\n") i++;
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/* ------------ Schema ------------ */
+/* type: text | number | percent | grade. required columns must be
+   present; a required value that doesn't parse drops the row. */
+const SHEET_SCHEMA = {
+  sku: {
+    headers: ["Product variant SKU", "Variant SKU", "SKU"],
+    type: "text",
+    required: true
+  },
+  product_title: { headers: ["Product title", "Product", "Title"], type: "text" },
+  variant_title: { headers: ["Product variant title", "Variant title", "Variant"], type: "text" },
+  abc_grade: {
+    headers: ["Product variant ABC grade", "ABC grade", "ABC"],
+    type: "grade"
+  },
+  days_in_stock: {
+    headers: ["Days in stock (at location)", "Days in stock"],
+    type: "number",
+    required: true
+  },
+  days_out_of_stock: {
+    headers: ["Days out of stock (at location)", "Days out of stock"],
+    type: "number"
+  },
+  inventory_units_sold: { headers: ["Inventory units sold", "Units sold"], type: "number" },
+  sell_through_rate: { headers: ["Sell-through rate", "Sell through %"], type: "percent" },
+  percent_inventory_sold: {
+    headers: ["Percent of inventory sold", "% of inventory sold"],
+    type: "percent"
+  }
+};
+
+const headerKey = (h) => String(h || "").toLowerCase().replace(/[^a-z0-9%]+/g, "");
+
+function loadSheetSchema(raw = process.env.SELLTHROUGH_SHEET_COLUMNS) {
+  if (!raw) return SHEET_SCHEMA;
+
+  let extra;
+  try {
+    extra = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`SELLTHROUGH_SHEET_COLUMNS is not valid JSON: ${err.message}`);
+  }
+
+  const schema = {};
+  for (const [field, spec] of Object.entries(SHEET_SCHEMA)) {
+    const names = extra[field] == null ? [] : [].concat(extra[field]);
+    schema[field] = { ...spec, headers: [...names, ...spec.headers] };
+  }
+  return schema;
+}
+
+/* field → column index (-1 when missing), first matching name wins */
+function mapColumns(header, schema) {
+  const keys = header.map(headerKey);
+  const idx = {};
+  for (const [field, spec] of Object.entries(schema)) {
+    idx[field] = -1;
+    for (const name of spec.headers) {
+      const at = keys.indexOf(headerKey(name));
+      if (at !== -1) {
+        idx[field] = at;
+        break;
+      }
+    }
+  }
+  return idx;
+}
+
+/* ------------ Numbers ------------ */
+/**
+ * "1.234,5" → 1234.5, "1,234.5" → 1234.5, "12 %" → 12, "" → null.
+ * With one kind of separator, a lone one followed by exactly three
+ * digits is read as a thousands separator ("1,234" / "1.234" → 1234)
+ * unless `decimal` says otherwise.
+ *
+ * @param {string|number} value  Numbers (XLSX cells) pass straight through
+ * @param {"."|","|null} [decimal]  Force the decimal separator
+ * @returns {number|null|undefined}  null for blank, undefined when unparsable
+ */
+function parseSheetNumber(value, decimal = process.env.SELLTHROUGH_SHEET_DECIMAL || null) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+
+  let s = String(value ?? "")
+    .replace(/[\s\u00a0\u202f']/g, "")
+    .replace(/%$/, "");
+  if (!s) return null;
+
+  const negative = /^\(.*\)$/.test(s);
+  if (negative) s = s.slice(1, -1);
+
+  let dec = decimal === "," || decimal === "." ? decimal : null;
+  if (!dec) {
+    const lastDot = s.lastIndexOf(".");
+    const lastComma = s.lastIndexOf(",");
+    if (lastDot !== -1 && lastComma !== -1) {
+      dec = lastDot > lastComma ? "." : ",";
+    } else {
+      const sep = lastDot !== -1 ? "." : lastComma !== -1 ? "," : null;
+      const single = sep && s.indexOf(sep) === s.lastIndexOf(sep);
+      const thousands = !single || /^-?[1-9]\d{0,2}[.,]\d{3}$/.test(s);
+      dec = sep && !thousands ? sep : sep === "." ? "," : ".";
+    }
+  }
+
+  const thousandsSep = dec === "," ? "." : ",";
+  s = s.split(thousandsSep).join("");
+  if (dec === ",") s = s.replace(",", ".");
+
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(s)) return undefined;
+  const n = Number(s);
+  return negative ? -n : n;
+}
+
+/* ------------ Rows → SKUs ------------ */
+function createWarnings() {
+  const list = [];
+  let count = 0;
+  return {
+    add(warning) {
+      count++;
+      if (list.length < MAX_WARNINGS) list.push(warning);
+    },
+    get count() {
+      return count;
+    },
+    list
+  };
+}
+
+/* ------------ Rows sharing a SKU ------------ */
+const nullableSum = (a, b) => (a == null && b == null ? null : (a || 0) + (b || 0));
+
+/* Folds a later row's values into the SKU's entry (see header) */
+function combineRows(entry, values) {
+  entry.product_title = entry.product_title || values.product_title;
+  entry.variant_title = entry.variant_title || values.variant_title;
+  if (values.abc_grade && (!entry.abc_grade || values.abc_grade < entry.abc_grade)) {
+    entry.abc_grade = values.abc_grade;
+  }
+  entry.days_in_stock_24m = Math.max(entry.days_in_stock_24m, values.days_in_stock ?? 0);
+  entry.days_out_of_stock_24m = Math.min(entry.days_out_of_stock_24m, values.days_out_of_stock ?? 0);
+  entry.inventory_units_sold_csv = nullableSum(entry.inventory_units_sold_csv, values.inventory_units_sold);
+  entry.sell_through_rate_csv = null;
+  entry.percent_inventory_sold_csv = null;
+}
+
+/**
+ * @param {string[][]} rows   Header row first (from parseCsv / an upload)
+ * @param {object} [opts]
+ * @param {object} [opts.schema]   From loadSheetSchema()
+ * @param {"."|","|null} [opts.decimal]
+ * @returns {{ bySku: object, warnings: object[], warningCount: number,
+ *   columns: object }}  columns maps each field to the header used (or null)
+ */
+function parseSheet(rows, { schema = loadSheetSchema(), decimal } = {}) {
+  if (!rows.length) {
+    throw new Error("Sell-through sheet appears to be empty");
+  }
+
+  const header = rows[0].map((h) => String(h).trim());
+  const idx = mapColumns(header, schema);
+  const warnings = createWarnings();
+
+  const missingRequired = Object.keys(schema).filter((f) => schema[f].required && idx[f] === -1);
+  if (missingRequired.length) {
+    console.error("Header row:", header);
+    throw new Error(
+      `Sell-through sheet is missing required columns: ${missingRequired
+        .map((f) => `${f} (${schema[f].headers.map((h) => `'${h}'`).join(" / ")})`)
+        .join(", ")}`
+    );
+  }
+
+  for (const field of Object.keys(schema)) {
+    if (idx[field] === -1) {
+      warnings.add({ type: "missing_column", field, message: `No column for ${field}` });
+    }
+  }
+
+  const bySku = {};
+  const rowsBySku = {};
+
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    const line = r + 1; // 1-based, header is line 1
+    if (!row.some((v) => String(v).trim() !== "")) continue;
+
+    const rawSku = String(row[idx.sku] ?? "").trim();
+    const skuNorm = normaliseSku(rawSku);
+    if (!skuNorm) {
+      warnings.add({ type: "missing_sku", row: line, message: "Row has data but no SKU" });
+      continue;
+    }
+
+    const values = {};
+    let rejected = false;
+
+    for (const [field, spec] of Object.entries(schema)) {
+      if (field === "sku") continue;
+      const raw = idx[field] >= 0 ? row[idx[field]] ?? "" : "";
+
+      if (spec.type === "text") {
+        values[field] = String(raw).trim();
+        continue;
+      }
+
+      if (spec.type === "grade") {
+        const grade = String(raw).trim().toUpperCase();
+        if (grade && !/^[A-Z]$/.test(grade)) {
+          warnings.add({ type: "invalid_grade", row: line, sku: skuNorm, field, value: raw });
+          values[field] = "";
+        } else {
+          values[field] = grade;
+        }
+        continue;
+      }
+
+      const n = parseSheetNumber(raw, decimal);
+      if (n === undefined || (n != null && n < 0 && spec.type === "number")) {
+        warnings.add({
+          type: "unparsable_value",
+          row: line,
+          sku: skuNorm,
+          field,
+          value: raw,
+          message: spec.required ? "Row skipped" : "Treated as missing"
+        });
+        if (spec.required) rejected = true;
+        values[field] = null;
+      } else if (n == null && spec.required) {
+        warnings.add({ type: "missing_value", row: line, sku: skuNorm, field, message: "Counted as 0" });
+        values[field] = null;
+      } else {
+        values[field] = n;
+      }
+    }
+
+    if (rejected) continue;
+
+    const previous = bySku[skuNorm];
+    if (previous) {
+      rowsBySku[skuNorm].push(line);
+      warnings.add({
+        type: "duplicate_sku",
+        row: line,
+        sku: skuNorm,
+        rows: [...rowsBySku[skuNorm]],
+        raw_skus: [...new Set([...previous.raw_skus, rawSku])],
+        message: "Rows combined: units sold summed, longest days in stock kept, rates dropped"
+      });
+      previous.raw_skus.add(rawSku);
+      combineRows(previous, values);
+      continue;
+    }
+
+    rowsBySku[skuNorm] = [line];
+    bySku[skuNorm] = {
+      sku_norm: skuNorm,
+      sku_raw: rawSku,
+      raw_skus: new Set([rawSku]),
+      product_title: values.product_title,
+      variant_title: values.variant_title,
+      abc_grade: values.abc_grade,
+      days_in_stock_24m: values.days_in_stock ?? 0,
+      days_out_of_stock_24m: values.days_out_of_stock ?? 0,
+      inventory_units_sold_csv: values.inventory_units_sold,
+      sell_through_rate_csv: values.sell_through_rate, // as %
+      percent_inventory_sold_csv: values.percent_inventory_sold // as %
+    };
+  }
+
+  return {
+    bySku,
+    warnings: warnings.list,
+    warningCount: warnings.count,
+    columns: Object.fromEntries(
+      Object.keys(schema).map((f) => [f, idx[f] >= 0 ? header[idx[f]] : null])
+    )
+  };
+}
+
+module.exports = {
+  SHEET_SCHEMA,
+  parseCsv,
+  loadSheetSchema,
+  mapColumns,
+  parseSheetNumber,
+  parseSheet
+};
@@ -0,0 +1,339 @@
+/* =====================================================================
+   Shared Shopify Admin API client
+   - One GraphQL + REST helper for every endpoint
+   - Cost-aware pacing from extensions.cost.throttleStatus
+   - Exponential retry with full jitter on THROTTLED, 429, 5xx, network
+   - Per-request timeouts (SHOPIFY_TIMEOUT_MS, default 30s)
+   - Typed errors so callers can tell throttling, auth, schema and
+     network failures apart
+   - Optional read-through cache per data type ({ cache: "orders" }),
+     see lib/cache.js
+   - Each response actually fetched counts as a page for a running
+     job's progress (lib/progress.js); cache hits don't
+===================================================================== */
+
+const { cached } = require("./cache");
+const { progressPage } = require("./progress");
+
+/* ---------------- ENV ---------------- */
+const STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN;
+const ADMIN_TOKEN = process.env.SHOPIFY_ADMIN_API_ACCESS_TOKEN;
+const API_VERSION = process.env.SHOPIFY_API_VERSION || "2024-10";
+const TIMEOUT_MS = Number(process.env.SHOPIFY_TIMEOUT_MS) || 30000;
+const MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES) || 5;
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_CAP_MS = 20000;
+
+// Used until Shopify has told us what a given query actually costs
+const DEFAULT_QUERY_COST = 50;
+
+/* ------------ Typed errors ------------ */
+class ShopifyError extends Error {
+  constructor(message, { type = "unknown", status = null, details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ShopifyError";
+    this.type = type;
+    this.status = status;
+    this.details = details;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+class ShopifyThrottleError extends ShopifyError {
+  constructor(message, { retryAfterMs = null, ...opts } = {}) {
+    super(message, { type: "throttled", ...opts });
+    this.name = "ShopifyThrottleError";
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+class ShopifyAuthError extends ShopifyError {
+  constructor(message, opts = {}) {
+    super(message, { type: "auth", ...opts });
+    this.name = "ShopifyAuthError";
+  }
+}
+
+class ShopifySchemaError extends ShopifyError {
+  constructor(message, opts = {}) {
+    super(message, { type: "schema", ...opts });
+    this.name = "ShopifySchemaError";
+  }
+}
+
+class ShopifyNetworkError extends ShopifyError {
+  constructor(message, opts = {}) {
+    super(message, { type: "network", ...opts });
+    this.name = "ShopifyNetworkError";
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/* ------------ Helpers ------------ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+  // "Full jitter": random point between 0 and the capped exponential step
+  const step = Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(Math.random() * step);
+}
+
+function isConfigured() {
+  return Boolean(STORE_DOMAIN && ADMIN_TOKEN);
+}
+
+function adminUrl(path) {
+  return `https://${STORE_DOMAIN}/admin/api/${API_VERSION}/${path.replace(/^\/+/, "")}`;
+}
+
+/* ------------ Cost budget (leaky bucket mirror) ------------ */
+/* Shopify reports the bucket after every GraphQL call. We keep a local
+   copy, refill it at restoreRate between calls, and reserve the expected
+   cost before sending so parallel batches don't all fire at once. */
+const bucket = {
+  available: null,
+  maximum: null,
+  restoreRate: null,
+  updatedAt: 0
+};
+
+const lastCostByQuery = new Map();
+
+function bucketAvailableNow() {
+  if (bucket.available == null) return null;
+  const elapsed = (Date.now() - bucket.updatedAt) / 1000;
+  return Math.min(bucket.maximum, bucket.available + elapsed * bucket.restoreRate);
+}
+
+async function reserveCost(cost) {
+  const available = bucketAvailableNow();
+  if (available == null) return;
+
+  if (available < cost) {
+    const waitMs = Math.ceil(((cost - available) / bucket.restoreRate) * 1000);
+    await sleep(waitMs);
+  }
+
+  bucket.available = Math.max(0, (bucketAvailableNow() ?? cost) - cost);
+  bucket.updatedAt = Date.now();
+}
+
+function recordCost(query, cost) {
+  if (!cost) return;
+
+  if (cost.requestedQueryCost != null) {
+    lastCostByQuery.set(query, cost.requestedQueryCost);
+  }
+
+  const t = cost.throttleStatus;
+  if (t) {
+    bucket.available = t.currentlyAvailable;
+    bucket.maximum = t.maximumAvailable;
+    bucket.restoreRate = t.restoreRate;
+    bucket.updatedAt = Date.now();
+  }
+}
+
+function throttleWaitMs(cost, requested) {
+  const t = cost?.throttleStatus;
+  if (!t || !t.restoreRate) return null;
+  const needed = (requested || DEFAULT_QUERY_COST) - t.currentlyAvailable;
+  return needed > 0 ? Math.ceil((needed / t.restoreRate) * 1000) : 0;
+}
+
+/* ------------ Single HTTP attempt with timeout ------------ */
+async function sendOnce(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let res;
+  let text;
+  try {
+    res = await fetch(url, { ...init, signal: controller.signal });
+    text = await res.text();
+  } catch (err) {
+    const reason = err.name === "AbortError" ? `timed out after ${timeoutMs}ms` : err.message;
+    throw new ShopifyNetworkError(`Shopify request failed: ${reason}`, { cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (res.status === 401 || res.status === 403) {
+    throw new ShopifyAuthError(`Shopify rejected credentials (HTTP ${res.status})`, {
+      status: res.status,
+      details: text
+    });
+  }
+
+  if (res.status === 429) {
+    const retryAfter = Number(res.headers.get("retry-after"));
+    throw new ShopifyThrottleError("Shopify rate limit hit (HTTP 429)", {
+      status: 429,
+      retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null
+    });
+  }
+
+  if (res.status >= 500) {
+    throw new ShopifyNetworkError(`Shopify server error (HTTP ${res.status})`, {
+      status: res.status,
+      details: text
+    });
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new ShopifyNetworkError("Invalid JSON from Shopify", {
+      status: res.status,
+      details: text,
+      cause: err
+    });
+  }
+
+  return { res, json };
+}
+
+/* ------------ Retry loop ------------ */
+async function withRetries(fn, { retries = MAX_RETRIES, label = "Shopify request" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (!(err instanceof ShopifyError) || !err.retryable || attempt >= retries) {
+        throw err;
+      }
+
+      const delay = err.retryAfterMs ?? backoffDelay(attempt);
+      console.warn(`${label}: ${err.message}; retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/* ------------ GraphQL ------------ */
+function classifyGraphQLErrors(errors, cost, requested) {
+  const throttled = errors.some((e) => e.extensions?.code === "THROTTLED");
+  if (throttled) {
+    return new ShopifyThrottleError("Shopify GraphQL query throttled", {
+      details: errors,
+      retryAfterMs: throttleWaitMs(cost, requested)
+    });
+  }
+
+  const denied = errors.some((e) => e.extensions?.code === "ACCESS_DENIED");
+  if (denied) {
+    return new ShopifyAuthError(`Shopify access denied: ${JSON.stringify(errors)}`, {
+      details: errors
+    });
+  }
+
+  return new ShopifySchemaError(`Shopify GraphQL error: ${JSON.stringify(errors)}`, {
+    details: errors
+  });
+}
+
+async function shopifyGraphQL(query, variables = {}, { timeoutMs = TIMEOUT_MS, retries, cache } = {}) {
+  if (cache) {
+    return cached(cache, [query, variables], () =>
+      shopifyGraphQL(query, variables, { timeoutMs, retries })
+    );
+  }
+
+  const url = adminUrl("graphql.json");
+  const body = JSON.stringify({ query, variables });
+
+  return withRetries(
+    async () => {
+      const expected = lastCostByQuery.get(query) || DEFAULT_QUERY_COST;
+      await reserveCost(expected);
+
+      const { res, json } = await sendOnce(
+        url,
+        {
+          method: "POST",
+          headers: {
+            "X-Shopify-Access-Token": ADMIN_TOKEN,
+            "Content-Type": "application/json"
+          },
+          body
+        },
+        timeoutMs
+      );
+
+      const cost = json.extensions?.cost;
+      recordCost(query, cost);
+
+      if (json.errors) {
+        throw classifyGraphQLErrors(json.errors, cost, cost?.requestedQueryCost || expected);
+      }
+
+      if (!res.ok) {
+        throw new ShopifySchemaError(`Shopify GraphQL error (HTTP ${res.status})`, {
+          status: res.status,
+          details: json
+        });
+      }
+
+      progressPage();
+      return json.data;
+    },
+    { retries, label: "Shopify GraphQL" }
+  );
+}
+
+/* ------------ REST ------------ */
+async function shopifyRest(path, { method = "GET", body, timeoutMs = TIMEOUT_MS, retries } = {}) {
+  const url = adminUrl(path);
+
+  return withRetries(
+    async () => {
+      const { res, json } = await sendOnce(
+        url,
+        {
+          method,
+          headers: {
+            "X-Shopify-Access-Token": ADMIN_TOKEN,
+            "Content-Type": "application/json"
+          },
+          body: body ? JSON.stringify(body) : undefined
+        },
+        timeoutMs
+      );
+
+      if (!res.ok) {
+        throw new ShopifySchemaError(
+          `Shopify REST error (HTTP ${res.status}): ${JSON.stringify(json.errors || json)}`,
+          { status: res.status, details: json }
+        );
+      }
+
+      return json;
+    },
+    { retries, label: `Shopify REST ${path}` }
+  );
+}
+
+module.exports = {
+  STORE_DOMAIN,
+  API_VERSION,
+  isConfigured,
+  shopifyGraphQL,
+  shopifyRest,
+  ShopifyError,
+  ShopifyThrottleError,
+  ShopifyAuthError,
+  ShopifySchemaError,
+  ShopifyNetworkError
+};
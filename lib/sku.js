@@ -0,0 +1,167 @@
+/* =====================================================================
+   SKU normalisation, shared by every report
+   - Raw SKUs (variants, order lines, sheet rows) are keyed by the same
+     normalised SKU everywhere, so the endpoints line up SKU for SKU
+   - Rules come from SKU_RULES (JSON) and apply in this order:
+     {
+       "rewrites": [{ "pattern": "\\s*-#+\\s*$", "replace": "", "flags": "" }],
+       "case": "upper",                       // or "lower"; omit to keep
+       "prefix_aliases": { "OLD-": "NEW-" },
+       "map": { "HAT-001": "HAT-053" }        // renamed products
+     }
+   - Without SKU_RULES the only rewrite strips a trailing " -##" /
+     "   ##" (the sheet export's suffix), as before
+   - Map keys go through the other rules first, so they can be written
+     as raw SKUs; renames chain (A → B → C)
+===================================================================== */
+
+const DEFAULT_REWRITES = [{ pattern: "\\s*-#+\\s*$", replace: "", flags: "" }];
+
+/* ------------ Config ------------ */
+function compileRewrite(rule) {
+  try {
+    return {
+      re: new RegExp(rule.pattern, rule.flags || ""),
+      replace: rule.replace ?? ""
+    };
+  } catch (err) {
+    throw new Error(`SKU_RULES rewrite ${JSON.stringify(rule.pattern)} is not a valid regex: ${err.message}`);
+  }
+}
+
+function loadSkuRules(raw = process.env.SKU_RULES) {
+  let parsed = {};
+  if (raw) {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`SKU_RULES is not valid JSON: ${err.message}`);
+    }
+  }
+
+  const folding = String(parsed.case || "").toLowerCase();
+  if (folding && folding !== "upper" && folding !== "lower") {
+    throw new Error(`SKU_RULES case must be "upper" or "lower" (got ${parsed.case})`);
+  }
+
+  const rules = {
+    source: raw ? "SKU_RULES" : "default",
+    rewrites: (parsed.rewrites || DEFAULT_REWRITES).map(compileRewrite),
+    folding: folding || null,
+    prefixAliases: [],
+    map: {}
+  };
+
+  // Aliases and map keys are matched after folding, so fold them too;
+  // longest prefix first
+  rules.prefixAliases = Object.entries(parsed.prefix_aliases || {})
+    .map(([from, to]) => [foldCase(from, rules.folding), foldCase(to, rules.folding)])
+    .sort((a, b) => b[0].length - a[0].length);
+
+  for (const [from, to] of Object.entries(parsed.map || {})) {
+    const key = baseNormalise(from, rules);
+    const target = baseNormalise(to, rules);
+    if (key && target) rules.map[key] = target;
+  }
+
+  return rules;
+}
+
+let envRules = null;
+let envRaw;
+function defaultRules() {
+  if (!envRules || envRaw !== process.env.SKU_RULES) {
+    envRaw = process.env.SKU_RULES;
+    envRules = loadSkuRules(envRaw);
+  }
+  return envRules;
+}
+
+/* ------------ Normalise ------------ */
+function foldCase(value, folding) {
+  if (folding === "upper") return value.toUpperCase();
+  if (folding === "lower") return value.toLowerCase();
+  return value;
+}
+
+/* Everything except the rename map */
+function baseNormalise(sku, rules) {
+  if (sku == null) return null;
+
+  let s = String(sku).trim();
+  for (const { re, replace } of rules.rewrites) s = s.replace(re, replace);
+  s = foldCase(s.trim(), rules.folding);
+
+  for (const [from, to] of rules.prefixAliases) {
+    if (s.startsWith(from)) {
+      s = to + s.slice(from.length);
+      break;
+    }
+  }
+
+  return s || null;
+}
+
+/**
+ * Normalises SKUs like (default rules):
+ *  - "HAT-053-##"        -> "HAT-053"
+ *  - "CUS-0028   ##"     -> "CUS-0028"
+ *  - "50002"             -> "50002"
+ *
+ * @param {string} sku
+ * @param {object} [rules]  From loadSkuRules(); defaults to SKU_RULES
+ * @returns {string|null}
+ */
+function normaliseSku(sku, rules = defaultRules()) {
+  let s = baseNormalise(sku, rules);
+  if (!s) return null;
+
+  const seen = new Set([s]);
+  while (rules.map[s] && !seen.has(rules.map[s])) {
+    s = rules.map[s];
+    seen.add(s);
+  }
+
+  return s;
+}
+
+/* ------------ Merged raw SKUs ------------ */
+/* Normalised SKU → raw SKUs seen for it, as a sorted list per key */
+function addRawSku(rawBySku, skuNorm, rawSku) {
+  if (!skuNorm || rawSku == null) return;
+  const raw = String(rawSku).trim();
+  if (!raw) return;
+  (rawBySku[skuNorm] = rawBySku[skuNorm] || new Set()).add(raw);
+}
+
+function rawSkuList(set) {
+  return [...(set || [])].sort();
+}
+
+/* Report-level summary: only keys that more than one raw SKU fed into */
+function mergedSkus(itemsBySku) {
+  const out = {};
+  for (const [sku, item] of Object.entries(itemsBySku)) {
+    if ((item.raw_skus || []).length > 1) out[sku] = item.raw_skus;
+  }
+  return out;
+}
+
+function skuRulesInfo(rules = defaultRules()) {
+  return {
+    source: rules.source,
+    rewrites: rules.rewrites.length,
+    case: rules.folding,
+    prefix_aliases: rules.prefixAliases.length,
+    mapped_skus: Object.keys(rules.map).length
+  };
+}
+
+module.exports = {
+  loadSkuRules,
+  normaliseSku,
+  addRawSku,
+  rawSkuList,
+  mergedSkus,
+  skuRulesInfo
+};
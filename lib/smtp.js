@@ -0,0 +1,199 @@
+/* =====================================================================
+   Minimal SMTP client (plain-text mail, no dependencies)
+   - Implicit TLS (port 465 / secure) or STARTTLS when the server offers
+     it; credentials are never sent over an unencrypted connection
+   - AUTH PLAIN when a user is given
+   - Body goes out base64-encoded, so no dot-stuffing or 8BITMIME needed
+===================================================================== */
+
+const crypto = require("crypto");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+
+/* ------------ Responses ------------ */
+/* Reads whole replies ("250-..." continuation lines up to "250 ...") */
+function responseReader(socket) {
+  let buffer = "";
+  const lines = [];
+  let waiting = null;
+  let failure = null;
+
+  function flush() {
+    if (!waiting) return;
+    const end = lines.findIndex((l) => /^\d{3}(?: |$)/.test(l));
+    if (end === -1) return;
+    const reply = lines.splice(0, end + 1);
+    const w = waiting;
+    waiting = null;
+    w.resolve({ code: Number(reply[end].slice(0, 3)), lines: reply.map((l) => l.slice(4)) });
+  }
+
+  function fail(err) {
+    failure = failure || err;
+    if (waiting) {
+      waiting.reject(failure);
+      waiting = null;
+    }
+  }
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\n")) !== -1) {
+      lines.push(buffer.slice(0, i).replace(/\r$/, ""));
+      buffer = buffer.slice(i + 1);
+    }
+    flush();
+  };
+  const onError = (err) => fail(err);
+  const onClose = () => fail(new Error("SMTP connection closed"));
+
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  return {
+    read() {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        flush();
+      });
+    },
+    // Before handing the socket to TLS
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    }
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timed out after ${timeoutMs}ms`)));
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once("error", reject);
+  });
+}
+
+/* ------------ Message ------------ */
+/* RFC 2047 for non-ASCII header values */
+function encodeHeader(value) {
+  const s = String(value);
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const domain = String(from).split("@").pop().replace(/[>\s]/g, "") || "localhost";
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body
+  ].join("\r\n");
+}
+
+const address = (value) => {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+};
+
+/* ------------ Send ------------ */
+/**
+ * @param {object} opts
+ * @param {string} opts.host
+ * @param {number} [opts.port]      Default 587 (465 when secure)
+ * @param {boolean} [opts.secure]   Implicit TLS; default port === 465
+ * @param {string} [opts.user]
+ * @param {string} [opts.pass]
+ * @param {string} opts.from        "Alerts <alerts@example.com>" or a bare address
+ * @param {string[]} opts.to
+ * @param {string} opts.subject
+ * @param {string} opts.text
+ * @param {number} [opts.timeoutMs]
+ */
+async function sendMail({
+  host,
+  port,
+  secure,
+  user = null,
+  pass = null,
+  from,
+  to,
+  subject,
+  text,
+  timeoutMs = 30000
+}) {
+  const useTls = secure ?? Number(port) === 465;
+  const portNumber = Number(port) || (useTls ? 465 : 587);
+
+  let socket = await connect({ host, port: portNumber, secure: useTls, timeoutMs });
+  let reader = responseReader(socket);
+  let encrypted = useTls;
+
+  async function command(line, expect, label = line) {
+    if (line != null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (!expect.includes(reply.code)) {
+      throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, [220], "greeting");
+    const ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250], "EHLO");
+
+    if (!encrypted && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = await upgrade(socket, host);
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timed out after ${timeoutMs}ms`)));
+      reader = responseReader(socket);
+      encrypted = true;
+      await command(`EHLO ${os.hostname() || "localhost"}`, [250], "EHLO");
+    }
+
+    if (user) {
+      if (!encrypted) {
+        throw new Error("SMTP server offers no TLS; not sending credentials in clear text");
+      }
+      const token = Buffer.from(`\u0000${user}\u0000${pass || ""}`).toString("base64");
+      await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+    }
+
+    await command(`MAIL FROM:<${address(from)}>`, [250], "MAIL FROM");
+    for (const rcpt of to) {
+      await command(`RCPT TO:<${address(rcpt)}>`, [250, 251], `RCPT TO ${address(rcpt)}`);
+    }
+    await command("DATA", [354]);
+    await command(`${buildMessage({ from, to, subject, text })}\r\n.`, [250], "message");
+    socket.write("QUIT\r\n");
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,264 @@
+/* =====================================================================
+   Inventory report snapshots
+   - Saved on request, not on every report: api/inventory-report.js
+     and inventory-report jobs with ?snapshot=1, and every alerts run
+     (its baseline for later runs)
+   - A report whose window ends today is saved under
+     REPORT_DATA_DIR/snapshots, one file per (date, profile); a later
+     report the same day replaces the earlier one
+   - Profile = what changes the numbers: window length, location,
+     velocity basis and dimension filters. Trends only line up
+     snapshots of the same profile.
+   - Per SKU only scalar fields are kept (no daily series, locations,
+     forecast or comparison), so any of them can be trended
+   - REPORT_SNAPSHOTS=off disables saving; snapshots older than
+     REPORT_SNAPSHOT_RETENTION_DAYS (default 730, 0 = keep) are pruned
+===================================================================== */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { dataPath, readJson, writeJson, withLock } = require("./store");
+const { addDays, localDate } = require("./dates");
+const { periodDelta } = require("./compare");
+const { BadRequestError, NotFoundError } = require("./http");
+
+const INDEX_FILE = dataPath("snapshots", "index.json");
+
+const snapshotFile = (id) => dataPath("snapshots", `${id}.json`);
+
+function snapshotsEnabled() {
+  return String(process.env.REPORT_SNAPSHOTS || "on").toLowerCase() !== "off";
+}
+
+function retentionDays() {
+  const n = Number(process.env.REPORT_SNAPSHOT_RETENTION_DAYS);
+  return Number.isFinite(n) && n >= 0 ? n : 730;
+}
+
+/* ------------ Profile ------------ */
+/**
+ * "24m|net", "90d|net|location=main|vendor=acme" ...
+ *
+ * @param {object} opts
+ * @param {number|null} [opts.months]  Range in months (null for start/end windows)
+ * @param {number} [opts.days]         Window length when months is null
+ * @param {string|null} [opts.location]
+ * @param {"net"|"gross"} [opts.velocityBasis]
+ * @param {object} [opts.filters]      From dimensionFilters()
+ */
+function snapshotProfile({ months = null, days = null, location = null, velocityBasis = "net", filters = {} }) {
+  const parts = [months ? `${months}m` : `${days}d`, velocityBasis];
+  if (location) parts.push(`location=${String(location).trim().toLowerCase()}`);
+  for (const key of Object.keys(filters).sort()) parts.push(`${key}=${filters[key]}`);
+  return parts.join("|");
+}
+
+function reportProfile(report) {
+  return snapshotProfile({
+    months: report.range_months,
+    days: Math.round((Date.parse(report.end_date) - Date.parse(report.start_date)) / 86400000) + 1,
+    location: report.location,
+    velocityBasis: report.velocity_basis,
+    filters: report.filters || {}
+  });
+}
+
+function snapshotId(date, profile) {
+  const hash = crypto.createHash("sha256").update(profile).digest("hex").slice(0, 10);
+  return `${date}-${hash}`;
+}
+
+/* Scalar per-SKU fields only */
+function compactItem(item) {
+  const out = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (value === null || ["number", "string", "boolean"].includes(typeof value)) out[key] = value;
+  }
+  return out;
+}
+
+/* ------------ Save ------------ */
+/**
+ * Saves the report as today's snapshot for its profile. Returns the
+ * index entry, or null when skipped (disabled, or a window that ends
+ * before today: its stock levels would still be today's).
+ */
+async function saveSnapshot(report) {
+  if (!snapshotsEnabled()) return null;
+  if (report.end_date !== localDate(Date.now(), report.time_zone)) return null;
+
+  const profile = reportProfile(report);
+  const id = snapshotId(report.end_date, profile);
+  const entry = {
+    id,
+    date: report.end_date,
+    profile,
+    generated_at: report.generated_at,
+    item_count: Object.keys(report.items).length
+  };
+
+  await writeJson(snapshotFile(id), {
+    ...entry,
+    time_zone: report.time_zone,
+    currency: report.currency,
+    range_months: report.range_months,
+    start_date: report.start_date,
+    end_date: report.end_date,
+    location: report.location,
+    velocity_basis: report.velocity_basis,
+    filters: report.filters || {},
+    items: Object.fromEntries(
+      Object.entries(report.items).map(([sku, item]) => [sku, compactItem(item)])
+    )
+  });
+
+  const keepDays = retentionDays();
+  const cutoff = keepDays ? addDays(report.end_date, -keepDays) : null;
+
+  const pruned = await withLock(INDEX_FILE, async () => {
+    const index = (await readJson(INDEX_FILE)) || [];
+    const kept = index.filter((e) => e.id !== id && !(cutoff && e.date < cutoff));
+    kept.push(entry);
+    kept.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    await writeJson(INDEX_FILE, kept);
+    return index.filter((e) => e.id !== id && cutoff && e.date < cutoff);
+  });
+
+  for (const old of pruned) {
+    await fs.rm(snapshotFile(old.id), { force: true });
+  }
+
+  return entry;
+}
+
+/* Snapshots are a side product of a report: a failed save is logged
+   and the report goes out with snapshot: null */
+async function saveSnapshotSafely(report, label = "report") {
+  try {
+    return await saveSnapshot(report);
+  } catch (err) {
+    console.error(`${label} snapshot error:`, err);
+    return null;
+  }
+}
+
+/* ------------ Read ------------ */
+async function listSnapshots({ profile = null, from = null, to = null } = {}) {
+  const index = (await readJson(INDEX_FILE)) || [];
+  return index.filter(
+    (e) =>
+      (!profile || e.profile === profile) &&
+      (!from || e.date >= from) &&
+      (!to || e.date <= to)
+  );
+}
+
+async function loadSnapshot(id) {
+  return readJson(snapshotFile(id));
+}
+
+/* Snapshot id, or a date (the snapshot of that profile on that date).
+   An index entry whose file is gone (deleted by hand, or a disk that
+   lost it) is a 404 rather than a null for the caller to trip over. */
+async function resolveSnapshot(ref, profile) {
+  const index = (await readJson(INDEX_FILE)) || [];
+  const entry =
+    index.find((e) => e.id === ref) ||
+    index.find((e) => e.date === ref && e.profile === profile);
+  if (!entry) {
+    throw new BadRequestError(`No snapshot "${ref}" for profile ${profile}`);
+  }
+  const snapshot = await loadSnapshot(entry.id);
+  if (!snapshot) {
+    throw new NotFoundError(`Snapshot ${entry.id} (${entry.date}) is indexed but its file is missing`);
+  }
+  return snapshot;
+}
+
+/* Last snapshot per calendar month */
+function monthly(entries) {
+  const byMonth = {};
+  for (const e of entries) byMonth[e.date.slice(0, 7)] = e;
+  return Object.values(byMonth);
+}
+
+/* ------------ Trends ------------ */
+/**
+ * @param {object} opts
+ * @param {string} opts.profile
+ * @param {string[]} opts.metrics   Per-SKU fields to follow
+ * @param {string[]|null} [opts.skus]  Default: every SKU seen
+ * @param {string|null} [opts.from]  YYYY-MM-DD
+ * @param {string|null} [opts.to]
+ * @param {"day"|"month"} [opts.interval]
+ * @returns {Promise<{ snapshots, series }>}  series: sku → { product_title,
+ *   points: [{ date, snapshot_id, <metric>: value }] }
+ */
+async function buildTrends({ profile, metrics, skus = null, from = null, to = null, interval = "day" }) {
+  let entries = await listSnapshots({ profile, from, to });
+  if (interval === "month") entries = monthly(entries);
+
+  const wanted = skus ? new Set(skus) : null;
+  const series = {};
+
+  for (const entry of entries) {
+    const snap = await loadSnapshot(entry.id);
+    if (!snap) continue;
+
+    for (const [sku, item] of Object.entries(snap.items)) {
+      if (wanted && !wanted.has(sku)) continue;
+
+      const s = (series[sku] = series[sku] || { product_title: item.product_title || "", points: [] });
+      const point = { date: entry.date, snapshot_id: entry.id };
+      for (const m of metrics) point[m] = item[m] ?? null;
+      s.points.push(point);
+    }
+  }
+
+  return { snapshots: entries, series };
+}
+
+/* ------------ Diff ------------ */
+/**
+ * Per-SKU before / after / delta for the metrics, plus SKUs that only
+ * appear on one side.
+ */
+function diffSnapshots(before, after, metrics) {
+  const items = {};
+  const added = [];
+  const removed = [];
+
+  for (const sku of new Set([...Object.keys(before.items), ...Object.keys(after.items)])) {
+    const a = before.items[sku];
+    const b = after.items[sku];
+    if (!a) added.push(sku);
+    if (!b) removed.push(sku);
+
+    const d = periodDelta(b || null, a || null, metrics);
+    const current = {};
+    for (const m of metrics) current[m] = b?.[m] ?? null;
+
+    items[sku] = {
+      sku,
+      product_title: (b || a).product_title || "",
+      before: d.previous,
+      after: current,
+      delta: d.delta,
+      change_pct: d.change_pct
+    };
+  }
+
+  return { added: added.sort(), removed: removed.sort(), items };
+}
+
+module.exports = {
+  snapshotProfile,
+  reportProfile,
+  saveSnapshot,
+  saveSnapshotSafely,
+  listSnapshots,
+  loadSnapshot,
+  resolveSnapshot,
+  buildTrends,
+  diffSnapshots
+};
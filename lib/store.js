@@ -0,0 +1,87 @@
+/* =====================================================================
+   Local JSON store
+   - Everything persisted by the reports (sales ledger, ...) lives under
+     REPORT_DATA_DIR (default: <tmp>/shopify-inventory-report)
+   - Atomic writes (write + rename) and a simple lock file so two
+     invocations sharing a disk don't interleave read-modify-write
+===================================================================== */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const DATA_DIR =
+  process.env.REPORT_DATA_DIR || path.join(os.tmpdir(), "shopify-inventory-report");
+
+const LOCK_STALE_MS = 10 * 60 * 1000;
+const LOCK_POLL_MS = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+/* ------------ JSON files ------------ */
+async function readJson(file, fallback = null) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+  return JSON.parse(raw);
+}
+
+async function writeJson(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value));
+  await fs.rename(tmp, file);
+}
+
+/* ------------ Lock ------------ */
+/**
+ * Runs fn while holding <file>.lock. Locks older than 10 minutes are
+ * assumed to belong to a crashed invocation and are taken over.
+ */
+async function withLock(file, fn, { timeoutMs = 60000 } = {}) {
+  const lock = `${file}.lock`;
+  await fs.mkdir(path.dirname(lock), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    try {
+      const handle = await fs.open(lock, "wx");
+      await handle.close();
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+
+      const stat = await fs.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.rm(lock, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${lock}`);
+      }
+      await sleep(LOCK_POLL_MS);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lock, { force: true });
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  writeJson,
+  withLock
+};
@@ -0,0 +1,134 @@
+/* =====================================================================
+   Daily inventory timeline
+   - Shopify only gives us adjustment events, not a daily level. Days
+     with no event still had stock; they just didn't change.
+   - We anchor on the current available quantity and walk the events
+     backwards, so every day gets a level:
+       * days after the last event  → carry the current/last level
+       * days with events           → last availableAfterAdjustment
+       * days before the first event → level implied by undoing deltas
+   - availableAfterAdjustment is a per-location figure, so multi-location
+     items are built one location at a time and then summed
+===================================================================== */
+
+/* ------------ Date list (inclusive, YYYY-MM-DD) ------------ */
+function listDates(startDate, endDate) {
+  const dates = [];
+  const d = new Date(startDate + "T00:00:00Z");
+  const end = new Date(endDate + "T00:00:00Z");
+
+  while (d <= end) {
+    dates.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+/* ------------ Group events by day (oldest first) ------------ */
+/* Events carrying a `date` (store-timezone day, set by computeMetrics)
+   are grouped on it; otherwise on the UTC day of occurredAt */
+function groupEventsByDate(events) {
+  const sorted = [...events].sort((a, b) =>
+    a.occurredAt < b.occurredAt ? -1 : a.occurredAt > b.occurredAt ? 1 : 0
+  );
+
+  const byDate = {};
+  for (const e of sorted) {
+    const date = e.date || e.occurredAt.slice(0, 10);
+    (byDate[date] = byDate[date] || []).push(e);
+  }
+  return byDate;
+}
+
+/* Level before the day's first event, given the level after its last */
+function openingLevel(dayEvents, closing) {
+  const first = dayEvents[0];
+  if (first.availableAfterAdjustment != null && first.availableDelta != null) {
+    return first.availableAfterAdjustment - first.availableDelta;
+  }
+
+  const deltaSum = dayEvents.reduce((sum, e) => sum + (e.availableDelta || 0), 0);
+  return closing - deltaSum;
+}
+
+/* ------------ Build the per-day series ------------ */
+/**
+ * @param {string[]} dates           Ascending YYYY-MM-DD list
+ * @param {object[]} events          { occurredAt, availableDelta, availableAfterAdjustment }
+ * @param {number|null} currentAvailable  Today's available quantity (anchor)
+ * @param {object} soldByDate        date → units sold
+ * @returns {{ date: string, available: number|null, sold: number }[]}
+ */
+function buildDailyTimeline(dates, events, currentAvailable, soldByDate = {}) {
+  const byDate = groupEventsByDate(events || []);
+
+  // Without a live anchor, the last known level is the best we have
+  let running = currentAvailable;
+  if (running == null) {
+    const last = (events || []).reduce(
+      (latest, e) => (!latest || e.occurredAt > latest.occurredAt ? e : latest),
+      null
+    );
+    running = last?.availableAfterAdjustment ?? null;
+  }
+
+  // Events after the window still move the level between window end and now
+  const endDate = dates[dates.length - 1];
+  const laterDates = Object.keys(byDate)
+    .filter((date) => date > endDate)
+    .sort()
+    .reverse();
+
+  for (const date of laterDates) {
+    if (running == null) break;
+    running = openingLevel(byDate[date], running);
+  }
+
+  const series = new Array(dates.length);
+
+  for (let i = dates.length - 1; i >= 0; i--) {
+    const date = dates[i];
+    const dayEvents = byDate[date];
+    let closing = running;
+
+    if (dayEvents) {
+      const last = dayEvents[dayEvents.length - 1];
+      if (last.availableAfterAdjustment != null) {
+        closing = last.availableAfterAdjustment;
+      }
+      running = closing == null ? null : openingLevel(dayEvents, closing);
+    }
+
+    series[i] = {
+      date,
+      available: closing,
+      sold: soldByDate[date] || 0
+    };
+  }
+
+  return series;
+}
+
+/* ------------ Combine per-location series ------------ */
+/* Levels add up across locations; sold is per SKU, not per location, so
+   it is taken from the first series rather than summed. */
+function sumTimelines(timelines) {
+  if (!timelines.length) return [];
+  if (timelines.length === 1) return timelines[0];
+
+  return timelines[0].map((day, i) => {
+    let available = null;
+    for (const t of timelines) {
+      const a = t[i].available;
+      if (a != null) available = (available || 0) + a;
+    }
+    return { date: day.date, available, sold: day.sold };
+  });
+}
+
+module.exports = {
+  listDates,
+  buildDailyTimeline,
+  sumTimelines
+};
@@ -0,0 +1,177 @@
+/* =====================================================================
+   Shopify webhook processing
+   - HMAC check against SHOPIFY_WEBHOOK_SECRET (base64 HMAC-SHA256 of
+     the raw body, X-Shopify-Hmac-Sha256)
+   - Idempotency on X-Shopify-Webhook-Id (seen ids kept 7 days)
+   - Topics:
+       orders/create, orders/updated, orders/cancelled → sales ledger
+       refunds/create          → re-read the order, then ledger
+       inventory_levels/update → live levels (same-day stockouts)
+===================================================================== */
+
+const crypto = require("crypto");
+const { applyOrdersToLedger } = require("./ledger");
+const { recordLevel } = require("./live-levels");
+const { fetchOrderById, fetchShopInfo } = require("./inventory");
+const { dataPath, readJson, writeJson, withLock } = require("./store");
+
+const SEEN_FILE = dataPath("webhook-ids.json");
+const SEEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const SUPPORTED_TOPICS = [
+  "orders/create",
+  "orders/updated",
+  "orders/cancelled",
+  "refunds/create",
+  "inventory_levels/update"
+];
+
+/* ------------ Signature ------------ */
+function verifyShopifyHmac(rawBody, hmacHeader, secret = process.env.SHOPIFY_WEBHOOK_SECRET) {
+  if (!secret || !hmacHeader) return false;
+
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  let given;
+  try {
+    given = Buffer.from(String(hmacHeader), "base64");
+  } catch {
+    return false;
+  }
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/* ------------ Idempotency ------------ */
+/**
+ * Records the webhook id; returns false if we've already processed it.
+ */
+async function markWebhookSeen(webhookId) {
+  if (!webhookId) return true;
+
+  return withLock(SEEN_FILE, async () => {
+    const seen = (await readJson(SEEN_FILE)) || {};
+    const now = Date.now();
+
+    for (const [id, at] of Object.entries(seen)) {
+      if (now - at > SEEN_TTL_MS) delete seen[id];
+    }
+
+    if (seen[webhookId]) return false;
+
+    seen[webhookId] = now;
+    await writeJson(SEEN_FILE, seen);
+    return true;
+  });
+}
+
+/* Lets a failed delivery be retried by Shopify */
+async function forgetWebhook(webhookId) {
+  if (!webhookId) return;
+
+  await withLock(SEEN_FILE, async () => {
+    const seen = (await readJson(SEEN_FILE)) || {};
+    delete seen[webhookId];
+    await writeJson(SEEN_FILE, seen);
+  });
+}
+
+/* ------------ REST payload → fetchOrders() shape ------------ */
+const gid = (type, id) => (id == null ? null : `gid://shopify/${type}/${id}`);
+
+/* Line total after discount allocations, in shop_money or presentment_money */
+function discountedTotal(li, side) {
+  // Older payloads only carry the shop-currency string fields
+  const amount = (set, legacy) =>
+    set?.[side]?.amount ?? (side === "shop_money" ? legacy : null);
+
+  const unit = amount(li.price_set, li.price);
+  if (unit == null) return null;
+
+  const discounts = (li.discount_allocations || []).reduce(
+    (sum, d) => sum + Number(amount(d.amount_set, d.amount) || 0),
+    0
+  );
+  return Number(unit) * (li.quantity || 0) - discounts;
+}
+
+function fromRestOrder(payload) {
+  const refunded = {};
+  for (const refund of payload.refunds || []) {
+    for (const rl of refund.refund_line_items || []) {
+      refunded[rl.line_item_id] = (refunded[rl.line_item_id] || 0) + (rl.quantity || 0);
+    }
+  }
+
+  return {
+    id: payload.admin_graphql_api_id || gid("Order", payload.id),
+    createdAt: payload.created_at ? new Date(payload.created_at).toISOString() : null,
+    updatedAt: payload.updated_at ? new Date(payload.updated_at).toISOString() : null,
+    cancelledAt: payload.cancelled_at || null,
+    lineItems: (payload.line_items || []).map((li) => ({
+      id: li.admin_graphql_api_id || gid("LineItem", li.id),
+      variantId: gid("ProductVariant", li.variant_id),
+      sku: li.sku ? String(li.sku).trim() : null,
+      quantity: li.quantity || 0,
+      currentQuantity: li.current_quantity ?? li.quantity ?? 0,
+      refundedQuantity: refunded[li.id] || 0,
+      unitPrice: li.price != null ? Number(li.price) : null,
+      discountedTotal: discountedTotal(li, "shop_money"),
+      presentmentTotals: li.price_set?.presentment_money
+        ? {
+            [li.price_set.presentment_money.currency_code]: discountedTotal(li, "presentment_money")
+          }
+        : {}
+    }))
+  };
+}
+
+/* ------------ Dispatch ------------ */
+/**
+ * @returns {Promise<object>} Short summary for the response / logs
+ */
+async function handleWebhook(topic, payload) {
+  switch (topic) {
+    case "orders/create":
+    case "orders/updated":
+    case "orders/cancelled": {
+      const order = fromRestOrder(payload);
+      await applyOrdersToLedger([order], { timeZone: (await fetchShopInfo()).timeZone });
+      return { applied: "order", order_id: order.id, cancelled: Boolean(order.cancelledAt) };
+    }
+
+    case "refunds/create": {
+      // The refund payload only covers the refunded lines; the order's
+      // current state is what the ledger needs
+      const order = await fetchOrderById(gid("Order", payload.order_id));
+      if (!order) return { applied: "none", reason: "order not found" };
+      await applyOrdersToLedger([order], { timeZone: (await fetchShopInfo()).timeZone });
+      return { applied: "order", order_id: order.id };
+    }
+
+    case "inventory_levels/update": {
+      // null = the item isn't tracked at this location, not a stockout
+      if (payload.available == null) {
+        return { applied: "none", reason: "available is null (untracked level)" };
+      }
+      const item = await recordLevel({
+        inventoryItemId: gid("InventoryItem", payload.inventory_item_id),
+        locationId: gid("Location", payload.location_id),
+        available: payload.available,
+        updatedAt: payload.updated_at ? new Date(payload.updated_at).toISOString() : null
+      });
+      return { applied: "inventory_level", out_of_stock_since: item.out_of_stock_since };
+    }
+
+    default:
+      return { applied: "none", reason: `unsupported topic ${topic}` };
+  }
+}
+
+module.exports = {
+  SUPPORTED_TOPICS,
+  verifyShopifyHmac,
+  markWebhookSeen,
+  forgetWebhook,
+  fromRestOrder,
+  handleWebhook
+};
@@ -0,0 +1,380 @@
+/* =====================================================================
+   Minimal streaming XLSX writer (+ reader for uploads)
+   - One worksheet, header row + data rows, inline strings (no shared
+     string table, so nothing has to be held in memory)
+   - Zip container written entry by entry with data descriptors, so the
+     sheet XML is deflated and sent as rows are produced
+   - Enough of the spec for Excel, Numbers, LibreOffice and Sheets; no
+     styles, formulas or zip64 (fine below 4 GB)
+   - readXlsx() returns the first worksheet's cells as rows: shared /
+     inline strings as text, numbers as numbers (percent-formatted cells
+     ×100, to match CSV exports), formulas as their cached value
+===================================================================== */
+
+const zlib = require("zlib");
+const { once } = require("events");
+
+/* ------------ CRC-32 ------------ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/* ------------ Zip stream ------------ */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+function createZipStream(out) {
+  const entries = [];
+  let offset = 0;
+  const { time, day } = dosDateTime(new Date());
+
+  async function write(buf) {
+    offset += buf.length;
+    if (!out.write(buf)) await once(out, "drain");
+  }
+
+  async function addEntry(name, chunks) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const headerOffset = offset;
+
+    // Local header: bit 3 = sizes/crc follow in a data descriptor, bit 11 = UTF-8
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0808, 6);
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt16LE(nameBuf.length, 26);
+    await write(Buffer.concat([header, nameBuf]));
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on("data", (c) => {
+      compressedSize += c.length;
+      offset += c.length;
+      if (!out.write(c)) {
+        deflate.pause();
+        out.once("drain", () => deflate.resume());
+      }
+    });
+    const finished = once(deflate, "end");
+
+    for await (const chunk of chunks) {
+      const buf = Buffer.from(chunk, "utf8");
+      crc = crc32(buf, crc);
+      size += buf.length;
+      if (!deflate.write(buf)) await once(deflate, "drain");
+    }
+    deflate.end();
+    await finished;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await write(descriptor);
+
+    entries.push({ nameBuf, crc, size, compressedSize, headerOffset });
+  }
+
+  async function finish() {
+    const dirStart = offset;
+
+    for (const e of entries) {
+      const rec = Buffer.alloc(46);
+      rec.writeUInt32LE(0x02014b50, 0);
+      rec.writeUInt16LE(20, 4);
+      rec.writeUInt16LE(20, 6);
+      rec.writeUInt16LE(0x0808, 8);
+      rec.writeUInt16LE(8, 10);
+      rec.writeUInt16LE(time, 12);
+      rec.writeUInt16LE(day, 14);
+      rec.writeUInt32LE(e.crc, 16);
+      rec.writeUInt32LE(e.compressedSize, 20);
+      rec.writeUInt32LE(e.size, 24);
+      rec.writeUInt16LE(e.nameBuf.length, 28);
+      rec.writeUInt32LE(e.headerOffset, 42);
+      await write(Buffer.concat([rec, e.nameBuf]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - dirStart, 12);
+    end.writeUInt32LE(dirStart, 16);
+    await write(end);
+  }
+
+  return { addEntry, finish };
+}
+
+/* ------------ Sheet XML ------------ */
+function xmlEscape(value) {
+  return String(value)
+    // control chars other than tab/newline aren't allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function columnName(index) {
+  let name = "";
+  let n = index + 1;
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    name = String.fromCharCode(65 + r) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (value == null || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+function rowXml(values, rowNumber) {
+  const cells = values.map((v, i) => cellXml(v, `${columnName(i)}${rowNumber}`)).join("");
+  return `<row r="${rowNumber}">${cells}</row>`;
+}
+
+async function* sheetXml(header, rows) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    "<sheetData>";
+
+  yield rowXml(header, 1);
+
+  let r = 2;
+  for await (const values of rows) {
+    yield rowXml(values, r++);
+  }
+
+  yield "</sheetData></worksheet>";
+}
+
+/* ------------ Workbook ------------ */
+/**
+ * @param {Writable} out         Response (or any writable)
+ * @param {string[]} header
+ * @param {AsyncIterable<any[]>|Iterable<any[]>} rows
+ * @param {string} [sheetName]
+ */
+async function writeXlsx(out, header, rows, sheetName = "Report") {
+  const zip = createZipStream(out);
+  const safeName = xmlEscape(String(sheetName).replace(/[\\/?*[\]:]/g, " ").slice(0, 31));
+
+  await zip.addEntry("[Content_Types].xml", [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      "</Types>"
+  ]);
+
+  await zip.addEntry("_rels/.rels", [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      "</Relationships>"
+  ]);
+
+  await zip.addEntry("xl/workbook.xml", [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${safeName}" sheetId="1" r:id="rId1"/></sheets>` +
+      "</workbook>"
+  ]);
+
+  await zip.addEntry("xl/_rels/workbook.xml.rels", [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      "</Relationships>"
+  ]);
+
+  await zip.addEntry("xl/worksheets/sheet1.xml", sheetXml(header, rows));
+  await zip.finish();
+}
+
+/* ------------ Reader ------------ */
+/* Zip entry name → Buffer, from the central directory (sizes there are
+   reliable even when the local headers defer them to a descriptor) */
+function readZipEntries(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a zip file (no end of central directory)");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = {};
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("Corrupt zip central directory");
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const headerOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+
+    const dataStart =
+      headerOffset + 30 + buf.readUInt16LE(headerOffset + 26) + buf.readUInt16LE(headerOffset + 28);
+    const data = buf.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) entries[name] = data;
+    else if (method === 8) entries[name] = zlib.inflateRawSync(data);
+    // other methods don't occur in spreadsheets; skip them
+
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+
+  return entries;
+}
+
+function xmlUnescape(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&amp;/g, "&");
+}
+
+/* All <t> runs inside a fragment (rich text splits one string into several) */
+function textOf(xml) {
+  let out = "";
+  for (const m of xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)) out += xmlUnescape(m[1]);
+  return out;
+}
+
+const attr = (attrs, name) => attrs.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+function columnIndex(ref) {
+  let n = 0;
+  for (const ch of ref.replace(/\d+$/, "")) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function firstSheetPath(entries) {
+  const workbook = entries["xl/workbook.xml"]?.toString("utf8") || "";
+  const rels = entries["xl/_rels/workbook.xml.rels"]?.toString("utf8") || "";
+  const sheet = workbook.match(/<sheet\b([^>]*)\/?>/);
+  const relId = sheet && attr(sheet[1], "r:id");
+
+  for (const m of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    if (attr(m[1], "Id") !== relId) continue;
+    const target = attr(m[1], "Target");
+    return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+  }
+  return "xl/worksheets/sheet1.xml";
+}
+
+/* Style index → is a percent format (built-in 9 / 10, or custom with %) */
+function percentStyles(entries) {
+  const styles = entries["xl/styles.xml"]?.toString("utf8") || "";
+  const percentFormats = new Set(["9", "10"]);
+  for (const m of styles.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+    if ((attr(m[1], "formatCode") || "").includes("%")) percentFormats.add(attr(m[1], "numFmtId"));
+  }
+
+  const cellXfs = styles.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || "";
+  return [...cellXfs.matchAll(/<xf\b([^>]*?)\/?>/g)].map((m) =>
+    percentFormats.has(attr(m[1], "numFmtId"))
+  );
+}
+
+/**
+ * @param {Buffer} buf  .xlsx file contents
+ * @returns {Array<Array<string|number>>}  Rows of the first worksheet;
+ *   row positions are kept, so rows[i] is spreadsheet row i + 1
+ */
+function readXlsx(buf) {
+  const entries = readZipEntries(buf);
+  const sheetPath = firstSheetPath(entries);
+  const sheet = entries[sheetPath]?.toString("utf8");
+  if (!sheet) throw new Error(`Workbook has no worksheet at ${sheetPath}`);
+
+  const shared = [];
+  const sst = entries["xl/sharedStrings.xml"]?.toString("utf8") || "";
+  for (const m of sst.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)) shared.push(textOf(m[1]));
+  const percent = percentStyles(entries);
+
+  const rows = [];
+  for (const rm of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attr(rm[1], "r")) || rows.length + 1;
+    const row = [];
+
+    for (const cm of (rm[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attr(cm[1], "r");
+      const col = ref ? columnIndex(ref) : row.length;
+      const type = attr(cm[1], "t") || "n";
+      const body = cm[2] || "";
+      const v = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = "";
+      if (type === "s") value = shared[Number(v)] ?? "";
+      else if (type === "inlineStr") value = textOf(body);
+      else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+      else if (type === "n" && v != null && v !== "") {
+        value = Number(v);
+        if (percent[Number(attr(cm[1], "s"))]) value = Math.round(value * 100 * 1e9) / 1e9;
+      } else if (v != null) value = xmlUnescape(v);
+
+      while (row.length < col) row.push("");
+      row[col] = value;
+    }
+
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = row;
+  }
+
+  return rows;
+}
+
+module.exports = {
+  writeXlsx,
+  readXlsx,
+  crc32
+};
@@ -0,0 +1,69 @@
+/* Bulk order aggregation against a recorded bulk-operation JSONL file:
+   orders, line items and refund lines linked through __parentId */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { readJsonl } = require("../lib/bulk");
+const { assembleBulkOrders } = require("../lib/inventory");
+
+const FIXTURE = path.join(__dirname, "fixtures", "bulk-orders.jsonl");
+
+const load = () => assembleBulkOrders(readJsonl(fs.createReadStream(FIXTURE)));
+
+test("readJsonl streams every non-blank line", async () => {
+  const rows = [];
+  for await (const row of readJsonl(fs.createReadStream(FIXTURE))) rows.push(row);
+  assert.equal(rows.length, 12);
+  assert.equal(rows[0].id, "gid://shopify/Order/1001");
+});
+
+test("orders keep their order and fields", async () => {
+  const orders = await load();
+  assert.deepEqual(
+    orders.map((o) => o.id),
+    ["gid://shopify/Order/1001", "gid://shopify/Order/1002", "gid://shopify/Order/1003"]
+  );
+  assert.equal(orders[0].createdAt, "2026-01-05T14:03:11Z");
+  assert.equal(orders[0].cancelledAt, null);
+  assert.equal(orders[1].cancelledAt, "2026-01-06T10:02:19Z");
+});
+
+test("line items attach to their parent order", async () => {
+  const [first, cancelled, third] = await load();
+
+  assert.deepEqual(
+    first.lineItems.map((li) => [li.id, li.sku, li.quantity]),
+    [
+      ["gid://shopify/LineItem/9001", "HAT-053-##", 3],
+      ["gid://shopify/LineItem/9002", "CUS-0028", 1]
+    ]
+  );
+  assert.equal(first.lineItems[0].variantId, "gid://shopify/ProductVariant/71");
+  assert.equal(first.lineItems[0].unitPrice, 25);
+  assert.equal(first.lineItems[0].discountedTotal, 67.5);
+  assert.deepEqual(first.lineItems[0].presentmentTotals, { EUR: 62.1 });
+
+  assert.equal(cancelled.lineItems.length, 1);
+  assert.equal(cancelled.lineItems[0].currentQuantity, 0);
+
+  assert.equal(third.lineItems[0].variantId, null);
+});
+
+test("refund lines are summed onto the refunded line item", async () => {
+  const [first, cancelled, third] = await load();
+
+  assert.equal(first.lineItems[0].refundedQuantity, 1);
+  assert.equal(first.lineItems[1].refundedQuantity, 0);
+  assert.equal(cancelled.lineItems[0].refundedQuantity, 0);
+  // Two refunds on the same line item
+  assert.equal(third.lineItems[0].refundedQuantity, 3);
+});
+
+test("rows whose parent never appeared are dropped", async () => {
+  const orders = await load();
+  const ids = orders.flatMap((o) => o.lineItems.map((li) => li.id));
+  assert.ok(!ids.includes("gid://shopify/LineItem/9998"));
+  assert.ok(!ids.includes("gid://shopify/LineItem/9999"));
+});
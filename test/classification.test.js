@@ -0,0 +1,54 @@
+/* Threshold parsing: malformed values are rejected, never replaced by
+   the defaults behind the caller's back */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BadRequestError } = require("../lib/http");
+const {
+  DEFAULT_ABC_THRESHOLDS,
+  DEFAULT_XYZ_THRESHOLDS,
+  classificationOptions
+} = require("../lib/classification");
+
+test("defaults apply when no thresholds are given", () => {
+  const opts = classificationOptions({});
+  assert.deepEqual(opts.abcThresholds, DEFAULT_ABC_THRESHOLDS);
+  assert.deepEqual(opts.xyzThresholds, DEFAULT_XYZ_THRESHOLDS);
+});
+
+test("valid thresholds parse", () => {
+  const opts = classificationOptions({ abc_thresholds: "0.7, 0.9", xyz_thresholds: "0.25,1.5" });
+  assert.deepEqual(opts.abcThresholds, [0.7, 0.9]);
+  assert.deepEqual(opts.xyzThresholds, [0.25, 1.5]);
+});
+
+test("malformed thresholds throw BadRequestError", () => {
+  for (const query of [
+    { abc_thresholds: "80,95" },
+    { abc_thresholds: "0.95,0.8" },
+    { abc_thresholds: "0.8" },
+    { abc_thresholds: "a,b" },
+    { abc_thresholds: "0,0.9" },
+    { xyz_thresholds: "1,0.5" },
+    { xyz_thresholds: "0.5,1,2" },
+    { xyz_thresholds: "-1,1" }
+  ]) {
+    assert.throws(() => classificationOptions(query), BadRequestError, JSON.stringify(query));
+  }
+});
+
+test("a malformed env default is a config error", (t) => {
+  const before = process.env.ABC_THRESHOLDS;
+  t.after(() => {
+    if (before === undefined) delete process.env.ABC_THRESHOLDS;
+    else process.env.ABC_THRESHOLDS = before;
+  });
+
+  process.env.ABC_THRESHOLDS = "0.9,0.8";
+  assert.throws(
+    () => classificationOptions({}),
+    (err) => !(err instanceof BadRequestError) && /ABC_THRESHOLDS/.test(err.message)
+  );
+  // A valid query value still wins over it
+  assert.deepEqual(classificationOptions({ abc_thresholds: "0.8,0.95" }).abcThresholds, [0.8, 0.95]);
+});
@@ -0,0 +1,81 @@
+/* Store-timezone windows across DST switches (2026: US 8 Mar / 1 Nov,
+   EU 29 Mar / 25 Oct) */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { localDate, windowFromDates, addDays } = require("../lib/dates");
+
+const NY = "America/New_York";
+const LONDON = "Europe/London";
+
+const hours = (w) => (Date.parse(w.endISO) + 1000 - Date.parse(w.startISO)) / 3600000;
+
+test("US spring forward: 23-hour day in New York", () => {
+  const w = windowFromDates("2026-03-08", "2026-03-08", NY);
+  assert.equal(w.startISO, "2026-03-08T05:00:00.000Z"); // EST
+  assert.equal(w.endISO, "2026-03-09T03:59:59.000Z"); // EDT
+  assert.equal(hours(w), 23);
+  assert.equal(w.days, 1);
+});
+
+test("US fall back: 25-hour day in New York", () => {
+  const w = windowFromDates("2026-11-01", "2026-11-01", NY);
+  assert.equal(w.startISO, "2026-11-01T04:00:00.000Z"); // EDT
+  assert.equal(w.endISO, "2026-11-02T04:59:59.000Z"); // EST
+  assert.equal(hours(w), 25);
+});
+
+test("EU spring forward: 23-hour day in London", () => {
+  const w = windowFromDates("2026-03-29", "2026-03-29", LONDON);
+  assert.equal(w.startISO, "2026-03-29T00:00:00.000Z"); // GMT
+  assert.equal(w.endISO, "2026-03-29T22:59:59.000Z"); // BST
+  assert.equal(hours(w), 23);
+});
+
+test("EU fall back: 25-hour day in London", () => {
+  const w = windowFromDates("2026-10-25", "2026-10-25", LONDON);
+  assert.equal(w.startISO, "2026-10-24T23:00:00.000Z"); // BST
+  assert.equal(w.endISO, "2026-10-25T23:59:59.000Z"); // GMT
+  assert.equal(hours(w), 25);
+});
+
+test("windows spanning a switch keep whole local days at both ends", () => {
+  const ny = windowFromDates("2026-03-01", "2026-03-31", NY);
+  assert.equal(ny.startISO, "2026-03-01T05:00:00.000Z");
+  assert.equal(ny.endISO, "2026-04-01T03:59:59.000Z");
+  assert.equal(ny.days, 31);
+
+  const london = windowFromDates("2026-10-01", "2026-10-31", LONDON);
+  assert.equal(london.startISO, "2026-09-30T23:00:00.000Z");
+  assert.equal(london.endISO, "2026-10-31T23:59:59.000Z");
+  assert.equal(london.days, 31);
+});
+
+test("localDate puts instants next to the switch on the right day", () => {
+  assert.equal(localDate("2026-03-08T04:59:59Z", NY), "2026-03-07");
+  assert.equal(localDate("2026-03-08T05:00:00Z", NY), "2026-03-08");
+  assert.equal(localDate("2026-11-02T04:30:00Z", NY), "2026-11-01"); // 23:30 EST
+  assert.equal(localDate("2026-11-02T05:00:00Z", NY), "2026-11-02");
+
+  assert.equal(localDate("2026-03-28T23:30:00Z", LONDON), "2026-03-28"); // GMT
+  assert.equal(localDate("2026-03-29T23:30:00Z", LONDON), "2026-03-30"); // BST
+  assert.equal(localDate("2026-10-24T23:30:00Z", LONDON), "2026-10-25"); // BST
+  assert.equal(localDate("2026-10-25T23:30:00Z", LONDON), "2026-10-25"); // GMT
+});
+
+test("every day around the switches round-trips through localDate", () => {
+  for (const [zone, from] of [
+    [NY, "2026-03-05"],
+    [NY, "2026-10-29"],
+    [LONDON, "2026-03-26"],
+    [LONDON, "2026-10-22"]
+  ]) {
+    for (let i = 0; i < 7; i++) {
+      const date = addDays(from, i);
+      const w = windowFromDates(date, date, zone);
+      assert.equal(localDate(w.startISO, zone), date, `${zone} ${date} start`);
+      assert.equal(localDate(w.endISO, zone), date, `${zone} ${date} end`);
+      assert.equal(localDate(Date.parse(w.endISO) + 1000, zone), addDays(date, 1), `${zone} ${date} next`);
+    }
+  }
+});
@@ -0,0 +1,88 @@
+/* Export writers read back through our own parsers: csvRow → parseCsv,
+   writeXlsx → readXlsx */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Writable } = require("stream");
+const { csvRow } = require("../lib/export");
+const { parseCsv } = require("../lib/sheet");
+const { writeXlsx, readXlsx } = require("../lib/xlsx");
+
+const TRICKY = [
+  'Tee "Classic"',
+  "Red, large",
+  "line one\nline two",
+  "crlf\r\ninside",
+  "=SUM(A1:A2)",
+  "+44 20 7946 0000",
+  "-5",
+  "@handle",
+  '"',
+  ",",
+  "",
+  "Ünïcödé – ✓"
+];
+
+function collector() {
+  const chunks = [];
+  const out = new Writable({
+    write(chunk, _enc, done) {
+      chunks.push(Buffer.from(chunk));
+      done();
+    }
+  });
+  return { out, buffer: () => Buffer.concat(chunks) };
+}
+
+test("csvRow round-trips quotes, commas, newlines and formula-like text", () => {
+  const header = ["SKU", "Value"];
+  const rows = TRICKY.map((value, i) => [`SKU-${i}`, value]);
+  const text = [header, ...rows].map(csvRow).join("");
+
+  assert.deepEqual(parseCsv(text), [header, ...rows]);
+});
+
+test("csvRow writes null / undefined as empty and numbers as-is", () => {
+  assert.equal(csvRow([null, undefined, 0, 1.5, -2]), ",,0,1.5,-2\r\n");
+  assert.deepEqual(parseCsv(csvRow(["a", null, 3])), [["a", "", "3"]]);
+});
+
+test("writeXlsx reads back through readXlsx", async () => {
+  const header = ["SKU", "Title", "Available", "Velocity", "Active"];
+  const rows = [
+    ["SKU-1", TRICKY[0], 12, 0.25, true],
+    ["SKU-2", TRICKY[1], 0, null, false],
+    ["SKU-3", TRICKY[2], -3, 1.5, null],
+    ["SKU-4", TRICKY[4], null, 0, true],
+    ["SKU-5", "<b>&amp;</b>", 7, 2, false],
+    ["SKU-6", TRICKY[11], 1, 1, true]
+  ];
+
+  const { out, buffer } = collector();
+  await writeXlsx(out, header, rows, "Report: test/1");
+  const read = readXlsx(buffer());
+
+  const expected = rows.map((row) =>
+    row.map((v) => (v == null ? "" : typeof v === "boolean" ? (v ? "TRUE" : "FALSE") : v))
+  );
+  // Trailing empty cells aren't written, so they don't come back
+  const trim = (row) => {
+    const copy = [...row];
+    while (copy.length && copy[copy.length - 1] === "") copy.pop();
+    return copy;
+  };
+  assert.deepEqual(read, [header, ...expected.map(trim)]);
+});
+
+test("writeXlsx streams rows from an async iterable", async () => {
+  async function* rows() {
+    for (let i = 0; i < 500; i++) yield [`SKU-${i}`, i];
+  }
+
+  const { out, buffer } = collector();
+  await writeXlsx(out, ["SKU", "N"], rows());
+  const read = readXlsx(buffer());
+
+  assert.equal(read.length, 501);
+  assert.deepEqual(read[500], ["SKU-499", 499]);
+});
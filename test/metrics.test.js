@@ -0,0 +1,80 @@
+/* Per-SKU metrics when several variants normalise to one SKU: each
+   inventory item's history is its own, levels add up */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeMetrics } = require("../lib/metrics");
+
+const LOC = "gid://shopify/Location/1";
+const variant = (id, itemId) => ({
+  id,
+  sku: "KNIFE-1",
+  price: "10",
+  productTitle: "Knife",
+  inventoryItem: { id: itemId, unitCost: null }
+});
+const level = (available) => [{ locationId: LOC, locationName: "Main", available, incoming: 0 }];
+
+test("two items at one location add up on the day one of them moves", () => {
+  const inventory = {
+    i1: { currentAvailable: 10, locations: level(10), events: [] },
+    i2: {
+      currentAvailable: 5,
+      locations: level(5),
+      // Restocked from 0 to 5 on the 3rd
+      events: [{ occurredAt: "2026-03-03T12:00:00Z", locationId: LOC, availableDelta: 5, availableAfterAdjustment: 5 }]
+    }
+  };
+
+  const out = computeMetrics(
+    [variant("v1", "i1"), variant("v2", "i2")],
+    inventory,
+    [],
+    "2026-03-01",
+    "2026-03-05",
+    { daily: true }
+  );
+  const item = out["KNIFE-1"];
+
+  assert.deepEqual(
+    item.daily.map((d) => d.available),
+    [10, 10, 15, 15, 15]
+  );
+  assert.equal(item.current_available, 15);
+  assert.equal(item.stockout_days, 0);
+  assert.equal(item.days_in_stock, 5);
+  assert.deepEqual(
+    item.locations.map((l) => [l.current_available, l.stockout_days]),
+    [[15, 0]]
+  );
+});
+
+test("the SKU is out of stock only when every item is", () => {
+  const inventory = {
+    i1: {
+      currentAvailable: 0,
+      locations: level(0),
+      events: [{ occurredAt: "2026-03-02T12:00:00Z", locationId: LOC, availableDelta: -4, availableAfterAdjustment: 0 }]
+    },
+    i2: {
+      currentAvailable: 0,
+      locations: level(0),
+      events: [{ occurredAt: "2026-03-04T12:00:00Z", locationId: null, availableDelta: -2, availableAfterAdjustment: 0 }]
+    }
+  };
+
+  const out = computeMetrics(
+    [variant("v1", "i1"), variant("v2", "i2")],
+    inventory,
+    [],
+    "2026-03-01",
+    "2026-03-05",
+    { daily: true }
+  );
+
+  assert.deepEqual(
+    out["KNIFE-1"].daily.map((d) => d.available),
+    [6, 2, 2, 0, 0]
+  );
+  assert.equal(out["KNIFE-1"].stockout_days, 2);
+});
@@ -0,0 +1,57 @@
+/* Reorder query / config parsing: a bad override is a 400, a bad
+   REORDER_CONFIG value a named config error; never NaN maths or a
+   bare zScore error */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BadRequestError } = require("../lib/http");
+const { zScore, loadReorderConfig } = require("../lib/reorder");
+const { reorderSuggestionsOptions } = require("../lib/reorder-suggestions");
+
+test("overrides are null when not given, so REORDER_CONFIG applies", () => {
+  assert.deepEqual(reorderSuggestionsOptions({}).overrides, {
+    lead_time_days: null,
+    service_level: null,
+    review_days: null
+  });
+});
+
+test("valid overrides parse as numbers", () => {
+  const opts = reorderSuggestionsOptions({ lead_time: "45", service_level: "0.98", review_days: "0" });
+  assert.deepEqual(opts.overrides, { lead_time_days: 45, service_level: 0.98, review_days: 0 });
+});
+
+test("invalid overrides throw BadRequestError", () => {
+  for (const query of [
+    { lead_time: "abc" },
+    { lead_time: "-1" },
+    { review_days: "soon" },
+    { service_level: "95" },
+    { service_level: "0" },
+    { service_level: "1" },
+    { service_level: "high" }
+  ]) {
+    assert.throws(() => reorderSuggestionsOptions(query), BadRequestError, JSON.stringify(query));
+  }
+});
+
+test("zScore matches the normal table", () => {
+  assert.ok(Math.abs(zScore(0.95) - 1.6449) < 1e-4);
+  assert.ok(Math.abs(zScore(0.5)) < 1e-9);
+});
+
+test("REORDER_CONFIG values are checked like the query overrides", () => {
+  const config = loadReorderConfig(
+    JSON.stringify({ default: { lead_time_days: 21 }, grades: { A: { service_level: 0.98 } }, skus: { "HAT-1": { review_days: 0 } } })
+  );
+  assert.equal(config.grades.A.service_level, 0.98);
+
+  for (const [raw, pattern] of [
+    [{ default: { service_level: 95 } }, /default\.service_level must be between 0 and 1/],
+    [{ grades: { A: { lead_time_days: "soon" } } }, /grades\.A\.lead_time_days must be a number >= 0/],
+    [{ skus: { "HAT-1": { review_days: -7 } } }, /skus\.HAT-1\.review_days/],
+    [{ grades: { B: 0.9 } }, /grades\.B must be an object/]
+  ]) {
+    assert.throws(() => loadReorderConfig(JSON.stringify(raw)), pattern);
+  }
+});
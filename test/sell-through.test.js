@@ -0,0 +1,67 @@
+/* Sell-through money figures (always on net units, discounted prices)
+   and sheets whose window doesn't match the report's */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { salesBySku, mergeSalesAndSheet, sellThroughOptions } = require("../lib/sell-through");
+
+const WINDOW = {
+  startISO: "2026-01-01T00:00:00.000Z",
+  endISO: "2026-12-31T23:59:59.000Z",
+  timeZone: "UTC"
+};
+
+// 4 × $10 list, $32 charged after discounts, 1 refunded; plus a
+// cancelled order that must not count towards revenue
+const ORDERS = [
+  {
+    id: "O1",
+    createdAt: "2026-03-02T10:00:00Z",
+    cancelledAt: null,
+    lineItems: [
+      { sku: "TEE-1", quantity: 4, currentQuantity: 4, refundedQuantity: 1, unitPrice: 10, discountedTotal: 32 }
+    ]
+  },
+  {
+    id: "O2",
+    createdAt: "2026-03-03T10:00:00Z",
+    cancelledAt: "2026-03-03T11:00:00Z",
+    lineItems: [{ sku: "TEE-1", quantity: 2, currentQuantity: 0, unitPrice: 10, discountedTotal: 20 }]
+  }
+];
+
+const SHEET = { "TEE-1": { sku_norm: "TEE-1", days_in_stock_24m: 300, days_out_of_stock_24m: 65 } };
+
+for (const basis of ["net", "gross"]) {
+  test(`revenue and prices ignore the velocity basis (${basis})`, () => {
+    const sales = salesBySku(ORDERS, WINDOW, basis);
+    const s = sales["TEE-1"];
+
+    assert.equal(s.total_sold_24m, basis === "net" ? 3 : 6);
+    assert.equal(s.net_sold_24m, 3);
+    assert.equal(s.revenue_24m, 24); // 3 of the 4 units at $8
+
+    const item = mergeSalesAndSheet(sales, SHEET)["TEE-1"];
+    assert.equal(item.revenue_24m, 24);
+    assert.equal(item.avg_unit_price_24m, 8); // discounted, not the $10 list price
+    assert.equal(item.avg_selling_price_24m, 8);
+  });
+}
+
+test("custom windows are accepted on every sheet source", () => {
+  assert.equal(sellThroughOptions({ months: "12" }).months, 12);
+  assert.equal(sellThroughOptions({ start: "2026-01-01" }).start, "2026-01-01");
+  assert.equal(sellThroughOptions({ end: "2026-06-30", sheet_source: "upload" }).end, "2026-06-30");
+});
+
+test("a sheet from another window leaves velocity and lost sales empty", () => {
+  const sales = salesBySku(ORDERS, WINDOW, "net");
+  const item = mergeSalesAndSheet(sales, SHEET, {}, { sheetWindowMatches: false })["TEE-1"];
+
+  assert.equal(item.total_sold_24m, 3);
+  assert.equal(item.revenue_24m, 24);
+  assert.equal(item.days_out_of_stock_24m, 65); // still the sheet's own figure
+  assert.equal(item.velocity_in_stock_24m, null);
+  assert.equal(item.lost_units_24m, null);
+  assert.equal(item.lost_revenue_24m, null);
+});
@@ -0,0 +1,43 @@
+/* Sell-through sheet rows that share a SKU are combined, not replaced */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSheet, SHEET_SCHEMA } = require("../lib/sheet");
+
+const HEADER = [
+  "Product variant SKU",
+  "Product title",
+  "ABC grade",
+  "Days in stock",
+  "Days out of stock",
+  "Units sold",
+  "Sell-through rate"
+];
+const parse = (...rows) => parseSheet([HEADER, ...rows], { schema: SHEET_SCHEMA });
+
+test("duplicate SKUs sum units sold and keep the longest days in stock", () => {
+  const { bySku, warnings } = parse(
+    ["TEE-1", "Tee", "B", "500", "230", "40", "20%"],
+    ["OTHER", "Mug", "C", "730", "0", "5", "50%"],
+    ["TEE-1", "Tee", "A", "600", "130", "25", "35%"]
+  );
+
+  const tee = bySku["TEE-1"];
+  assert.equal(tee.inventory_units_sold_csv, 65);
+  assert.equal(tee.days_in_stock_24m, 600);
+  assert.equal(tee.days_out_of_stock_24m, 130);
+  assert.equal(tee.abc_grade, "A");
+  assert.equal(tee.sell_through_rate_csv, null);
+  assert.equal(bySku.OTHER.inventory_units_sold_csv, 5);
+
+  const dup = warnings.find((w) => w.type === "duplicate_sku");
+  assert.equal(dup.sku, "TEE-1");
+  assert.deepEqual(dup.rows, [2, 4]);
+});
+
+test("a duplicate with no units sold doesn't turn the sum into null", () => {
+  const { bySku } = parse(["TEE-1", "Tee", "", "300", "", "", ""], ["TEE-1", "Tee", "", "200", "", "12", ""]);
+
+  assert.equal(bySku["TEE-1"].inventory_units_sold_csv, 12);
+  assert.equal(bySku["TEE-1"].days_in_stock_24m, 300);
+});
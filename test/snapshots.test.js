@@ -0,0 +1,54 @@
+/* Snapshot lookup for trend diffs: an unknown ref is the caller's
+   mistake, an indexed snapshot whose file has gone is a 404 */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// lib/store.js reads REPORT_DATA_DIR when it's first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshots-test-"));
+process.env.REPORT_DATA_DIR = dataDir;
+
+const { dataPath, writeJson } = require("../lib/store");
+const { errorStatus } = require("../lib/http");
+const { resolveSnapshot } = require("../lib/snapshots");
+
+const PROFILE = "24m|net";
+const entry = (id, date) => ({ id, date, profile: PROFILE, generated_at: `${date}T06:00:00Z`, item_count: 1 });
+
+test.before(async () => {
+  const index = [entry("2026-10-01-a", "2026-10-01"), entry("2026-10-02-b", "2026-10-02")];
+  await writeJson(dataPath("snapshots", "index.json"), index);
+  // Only the first one still has its file
+  await writeJson(dataPath("snapshots", "2026-10-01-a.json"), {
+    ...index[0],
+    items: { "TEE-1": { stockout_days: 3 } }
+  });
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("resolves a snapshot by id or by date within the profile", async () => {
+  assert.equal((await resolveSnapshot("2026-10-01-a", PROFILE)).id, "2026-10-01-a");
+  assert.equal((await resolveSnapshot("2026-10-01", PROFILE)).id, "2026-10-01-a");
+});
+
+test("an unknown ref is a 400", async () => {
+  await assert.rejects(resolveSnapshot("2026-09-30", PROFILE), (err) => {
+    assert.equal(errorStatus(err), 400);
+    assert.match(err.message, /No snapshot "2026-09-30"/);
+    return true;
+  });
+});
+
+test("an indexed snapshot whose file is missing is a 404 naming it", async () => {
+  for (const ref of ["2026-10-02-b", "2026-10-02"]) {
+    await assert.rejects(resolveSnapshot(ref, PROFILE), (err) => {
+      assert.equal(errorStatus(err), 404);
+      assert.match(err.message, /2026-10-02-b/);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,58 @@
+/* Daily levels rebuilt from the live level and adjustment events */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { listDates, buildDailyTimeline } = require("../lib/timeline");
+
+const DATES = listDates("2026-03-10", "2026-03-12");
+const event = (date, availableDelta, availableAfterAdjustment) => ({
+  occurredAt: `${date}T12:00:00Z`,
+  availableDelta,
+  availableAfterAdjustment
+});
+const levels = (series) => series.map((d) => d.available);
+
+test("a SKU with no events carries the live level through the window", () => {
+  const series = buildDailyTimeline(DATES, [], 8, { "2026-03-11": 2 });
+
+  assert.deepEqual(series, [
+    { date: "2026-03-10", available: 8, sold: 0 },
+    { date: "2026-03-11", available: 8, sold: 2 },
+    { date: "2026-03-12", available: 8, sold: 0 }
+  ]);
+});
+
+test("events after the window move the level back; events before it don't count", () => {
+  const events = [
+    event("2026-03-05", -1, 10), // before the window
+    event("2026-03-11", -2, 8),
+    event("2026-03-15", 5, 13) // restock after the window
+  ];
+
+  assert.deepEqual(levels(buildDailyTimeline(DATES, events, 13)), [10, 8, 8]);
+});
+
+test("events without availableAfterAdjustment are undone by their deltas", () => {
+  const events = [event("2026-03-11", -2, null), event("2026-03-14", 5, null)];
+
+  assert.deepEqual(levels(buildDailyTimeline(DATES, events, 13)), [10, 8, 8]);
+});
+
+test("a missing anchor falls back to the newest event's level", () => {
+  const events = [event("2026-03-11", -2, 8), event("2026-03-15", 5, 13)];
+
+  assert.deepEqual(levels(buildDailyTimeline(DATES, events, null)), [10, 8, 8]);
+  assert.deepEqual(levels(buildDailyTimeline(DATES, events, undefined)), [10, 8, 8]);
+});
+
+test("a missing anchor and no events leaves every level unknown", () => {
+  assert.deepEqual(levels(buildDailyTimeline(DATES, [], null)), [null, null, null]);
+});
+
+test("a zero anchor is a real level, not a missing one", () => {
+  assert.deepEqual(levels(buildDailyTimeline(DATES, [], 0)), [0, 0, 0]);
+
+  // Sold out after the window: the window still had the stock
+  const events = [event("2026-03-14", -4, 0)];
+  assert.deepEqual(levels(buildDailyTimeline(DATES, events, 0)), [4, 4, 4]);
+});